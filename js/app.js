@@ -1,46 +1,515 @@
-// JavaScript functionality for NC Depression Hotspots visualization
+// JavaScript functionality for NC Depression Hotspots visualization (or any county dataset described by a manifest)
 
 // References the DOM elements we'll interact with to link JS and HTML elements so we can use D3 later to draw charts and update text
 const mapSvg       = d3.select("#map");
 const tooltip      = d3.select("#tooltip");
+// Map zoom behavior, set up once the page loads. County labels show from MAP_LABEL_ZOOM up.
+const mapZoom      = d3.zoom();
+const MAP_MAX_ZOOM = 12;
+const MAP_LABEL_ZOOM = 2.5;
 //Detail panel elements
 const detailsTitle = d3.select("#map-county-title");
 const detailsBox   = d3.select("#map-county-details");
-//Scatter plot elements
-const scatterSvgs = {
-  income: d3.select("#scatter-income-svg"),
-  poverty: d3.select("#scatter-poverty-svg"),
-  education: d3.select("#scatter-education-svg")
-};
+//Scatter plot elements, one per manifest predictor, created once the manifest loads
+const scatterSvgs = {};
+
+// Dataset manifest: which CSV and boundary files to load, how they join, and which columns are the outcome and predictors.
+// Load a different one with ?dataset=path/to/manifest.json
+const datasetUrl = new URLSearchParams(window.location.search).get("dataset") || "data/manifest.json";
+let manifest = null;
+// Names of the CSV and boundary files currently on screen: the manifest's, or ones the user uploaded
+let dataSource = null;
 
 // Sets intial states for variables and data sets
 let scatterData = [];
-let currentTab = "income";
-let selectedCountyName = null;
-// Set of selected county names for the select cluster feature
-let brushedCountyNames = new Set();
-// Sets selection mode states
-let isBrushing = false;
-let selectionMode = 'individual';
+// Selection state, shared with every view through the store (js/store.js):
+// - selectionMode: 'individual', 'cluster' or 'compare'
+// - selectedCountyName: the county picked on its own, or null
+// - brushedCountyNames: the multi-county selection from brushing, lassoing, region buttons or modifier-clicks (a Set)
+// - pinnedCountyNames: counties pinned in compare mode, in the order they were pinned
+// - isBrushing: whether a brush or lasso drag is under way, so the click that ends it doesn't select a point
+// - currentTab: the scatterplot tab last chosen
+const store = createStore({
+  selectionMode: 'individual',
+  selectedCountyName: null,
+  brushedCountyNames: new Set(),
+  pinnedCountyNames: [],
+  isBrushing: false,
+  currentTab: null
+});
+// Cluster selection in the scatterplots: 'rect' for the rectangle brush or 'lasso' for a freehand lasso
+let brushShape = 'rect';
+// Uncertainty hatch state: counties whose age-adjusted 95% CI is wider than the threshold get hatched on the map
+let showUncertainHatch = false;
+let uncertainCIThreshold = null;
+// Most counties that can be pinned in compare mode
+const MAX_PINNED = 5;
+// How many peer counties "Find peers" lists
+let peerCount = 5;
+const MAX_PEERS = 15;
+// Active sidebar panel ('formula' or 'graphs') and the Needs Index weights last applied, or null before Apply
+let sidebarPanel = 'graphs';
+let needsWeights = null;
+// Needs Index rank-stability analysis: the last result, and whether the map is shaded by it
+let needsSensitivity = null;
+let showStabilityMap = false;
+// Needs Index formula: its components, how each is normalized, and whether outliers are winsorized first. The
+// components are the outcome and each predictor the manifest gives a need direction ("higher" means a higher value is
+// more need, "lower" means less need), plus any columns added in the formula panel.
+let needsComponentList = [];
+let needsNormalization = 'minmax';
+let needsWinsorize = false;
+const NEEDS_NORMALIZATIONS = {
+  minmax: 'Min-max (0-1)',
+  zscore: 'Z-score',
+  percentile: 'Percentile rank'
+};
+// True until the view state in the URL has been applied (and while back/forward reapplies it), so restoring doesn't write over it
+let urlStateRestoring = true;
 
-// Update UI and brush visibility based on selection mode
+// Regression fit state for the scatterplots and the residual map
+let showRegressionFit = false;
+let weightFitByPopulation = false;
+// Scatter points sized by adult population instead of all the same size
+let sizeScatterByPopulation = false;
+// Circles on the map sized by each county's estimated adults with the outcome
+let showAffectedSymbols = false;
+let residualTab = null;
+// Bivariate map state: the two metric fields crossed on the map, or null for the single-variable map
+let bivariateFields = null;
+// Stevens-style 3x3 bivariate palette indexed [yClass][xClass]: x runs grey to red, y runs grey to blue
+const BIVARIATE_PALETTE = [
+  ["#e8e8e8", "#e4acac", "#c85a5a"],
+  ["#b0d5df", "#ad9ea5", "#985356"],
+  ["#64acbe", "#627f8c", "#574249"]
+];
+// Hotspot map state: the field tested for local spatial clusters, or null when the map shows something else
+let lisaField = null;
+// LISA cluster colors: High-High counties sit among high neighbors, High-Low ones are high with low neighbors, and so on
+const LISA_CLUSTERS = {
+  HH: { label: 'High-High (hotspot)', color: '#d7191c' },
+  LL: { label: 'Low-Low (coldspot)', color: '#2c7bb6' },
+  HL: { label: 'High-Low (outlier)', color: '#fdae61' },
+  LH: { label: 'Low-High (outlier)', color: '#abd9e9' },
+  ns: { label: 'Not significant', color: '#eeeeee' }
+};
+// Region state: the county grouping shown in the region controls and whether the map shows region averages
+let regionRows = null;
+let regionGroupingKey = null;
+let showRegionMap = false;
+// Rows for each release year when the manifest lists several yearly CSVs (null for a single snapshot), the year on
+// screen and the two years compared on the change map
+let datasetYears = null;
+let currentYear = null;
+let changeYears = null;
+// Choropleth classing: continuous ramp or one of the class break methods, the class count and the palette
+let mapClassing = { method: 'continuous', classes: 5, palette: 'default' };
+const CLASSING_METHODS = {
+  continuous: 'Continuous',
+  quantile: 'Quantile',
+  equal: 'Equal interval',
+  jenks: 'Jenks natural breaks',
+  stddev: 'Standard deviation'
+};
+// Map layouts: county outlines, a population cartogram or an equal-area hex grid
+let mapLayout = 'geographic';
+const MAP_LAYOUTS = {
+  geographic: 'Geographic',
+  dorling: 'Population cartogram',
+  hex: 'Hex grid'
+};
+// "default" keeps each view's own ramp (reds for rates, red-blue for residuals)
+const MAP_PALETTES = {
+  default: { label: 'Default for view' },
+  reds: { label: 'Reds (sequential)', interpolator: d3.interpolateReds },
+  blues: { label: 'Blues (sequential)', interpolator: d3.interpolateBlues },
+  viridis: { label: 'Viridis (colorblind-safe)', interpolator: t => d3.interpolateViridis(1 - t) },
+  cividis: { label: 'Cividis (colorblind-safe)', interpolator: t => d3.interpolateCividis(1 - t) },
+  rdbu: { label: 'Red-blue (diverging)', interpolator: t => d3.interpolateRdBu(1 - t) },
+  puor: { label: 'Purple-orange (diverging, colorblind-safe)', interpolator: d3.interpolatePuOr }
+};
+// Multivariate model state: which predictors are in the model and what it pushes onto the map
+let modelPredictorKeys = null;
+let modelMapView = null;
+// Map lookups and scales, shared with controls that recolor the map outside the data loader
+let mapContext = null;
+
+// Metrics shown side by side in compare mode and offered as bivariate map variables, built from the manifest
+let countyMetrics = [];
+// Scatterplot axis settings and model predictors, built from the manifest's predictor columns
+let scatterConfigs = {};
+let modelPredictors = [];
+
+
+// Format a value the way the manifest asks for: "percent", "dollars", "count" or a plain "number"
+function formatMetric(format, v) {
+  if (v == null || isNaN(v)) return "N/A";
+  if (format === "percent") return v.toFixed(1) + "%";
+  if (format === "dollars") return "$" + Math.round(v).toLocaleString();
+  if (format === "count") return Math.round(v).toLocaleString();
+  return v.toFixed(2);
+}
+
+// Escape text that came from the data files or the manifest, such as county names and labels, before it goes into an
+// HTML template
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+// Axis tick format matching formatMetric
+function axisFormat(format) {
+  if (format === "percent") return d => d + "%";
+  if (format === "dollars") return d => `$${(d/1000).toFixed(0)}k`;
+  return d3.format("~s");
+}
+
+// Axis and legend title for the outcome, e.g. "Depression (age-adjusted, %)"
+function outcomeTitle() {
+  return manifest.outcome.axisLabel || manifest.outcome.label;
+}
+
+// Adults with the outcome can only be estimated from a rate that is a percentage of adults
+function hasAffectedCounts() {
+  return affectedRateField(manifest) != null;
+}
+
+// Label for the estimated count, e.g. "Estimated adults with depression"
+function affectedLabel() {
+  return `Estimated adults with ${manifest.outcome.shortLabel || manifest.outcome.label.toLowerCase()}`;
+}
+
+function affectedDescription() {
+  const crude = affectedRateField(manifest) === "Secondary";
+  const rate = crude ? manifest.secondaryOutcome : manifest.outcome;
+  return `${rate.label} rate times the adult (18+) population. Large counties can have the most affected ` +
+    `people even with a lower rate.` + (crude ? '' : ' If the rate is age-adjusted, this only approximates the actual count.');
+}
+
+// Build the metric lists, scatter configs and model predictors from the loaded manifest
+function buildDatasetConfig() {
+  const { outcome, secondaryOutcome, predictors } = manifest;
+  countyMetrics = [
+    { field: "Outcome", label: outcome.label, format: v => formatMetric(outcome.format, v), ci: ["OutcomeLow", "OutcomeHigh"], description: outcome.description },
+    ...(hasAffectedCounts() ? [{ field: "AffectedAdults", label: affectedLabel(), format: v => formatMetric("count", v), ci: ["AffectedLow", "AffectedHigh"], ciFormat: v => formatMetric("count", v), description: affectedDescription() }] : []),
+    ...(secondaryOutcome ? [{ field: "Secondary", label: secondaryOutcome.label, format: v => formatMetric(secondaryOutcome.format, v), ci: ["SecondaryLow", "SecondaryHigh"], description: secondaryOutcome.description }] : []),
+    { field: "NeedsIndex", label: "Needs index", format: v => v.toFixed(2) + "/10", description: "Custom composite score (0-10). Higher values indicate greater need." },
+    { field: "TotalPopulation", label: "Total population", format: v => v.toLocaleString(), description: "Total number of residents in the county." },
+    { field: "TotalPop18plus", label: "Adult population (18+)", format: v => v.toLocaleString(), description: "Number of residents aged 18 and over." },
+    ...predictors.map(p => ({ field: p.column, label: p.label, format: v => formatMetric(p.format, v), description: p.description }))
+  ];
+
+  needsComponentList = defaultNeedsComponents();
+
+  scatterConfigs = {};
+  predictors.forEach(p => {
+    scatterConfigs[p.key] = {
+      xField: p.column,
+      xLabel: p.format === "percent" ? `${p.label} (%)` : p.label,
+      shortLabel: p.shortLabel || p.label,
+      xFormat: axisFormat(p.format),
+      xValue: d => d[p.column],
+      tooltipValue: d => formatMetric(p.format, d[p.column])
+    };
+  });
+
+  // Dollar predictors are modeled per $1k and density is logged so coefficients stay readable
+  modelPredictors = [
+    ...predictors.map(p => ({
+      key: p.key,
+      label: p.format === "dollars" ? `${p.shortLabel || p.label} (per $1k)`
+        : p.format === "percent" ? `${p.shortLabel || p.label} (%)`
+        : p.shortLabel || p.label,
+      value: p.format === "dollars" ? d => d[p.column] / 1000 : d => d[p.column],
+      checked: true
+    })),
+    { key: "density", label: "Population density (log10 per sq mi)", value: d => Math.log10(d.PopDensity), checked: false }
+  ];
+}
+
+// Switch the selection mode. The mode buttons, brush overlays, compare panel and highlights follow it through the store.
 function setSelectionMode(mode) {
-  selectionMode = mode;
-  const ind = document.getElementById('mode-individual');
-  const clu = document.getElementById('mode-cluster');
-  if (ind && clu) {
-    if (mode === 'individual') {
-      ind.style.background = '#3182bd'; ind.style.color = 'white';
-      clu.style.background = 'white'; clu.style.color = 'black';
-    } else {
-      clu.style.background = '#3182bd'; clu.style.color = 'white';
-      ind.style.background = 'white'; ind.style.color = 'black';
-    }
-  }
+  store.set({ selectionMode: mode, isBrushing: false });
+  updateUrlState();
+}
+
+
+// Linked views: whatever changes the selection, the map, scatterplots, data tables and panels redraw from the store
+function setupSelectionViews() {
+  store.subscribe(['selectionMode'], renderSelectionMode);
+  store.subscribe(['selectionMode', 'selectedCountyName', 'brushedCountyNames', 'pinnedCountyNames'], () => {
+    renderSelection();
+    updateSelectionSummary();
+  });
+  store.subscribe(['selectionMode', 'pinnedCountyNames'], () => updateComparePanel());
+  renderSelectionMode(store.get());
+}
+
+
+// Update UI and brush visibility based on selection mode
+function renderSelectionMode({ selectionMode: mode }) {
+  const buttons = {
+    individual: document.getElementById('mode-individual'),
+    cluster: document.getElementById('mode-cluster'),
+    compare: document.getElementById('mode-compare')
+  };
+  Object.entries(buttons).forEach(([name, btn]) => {
+    if (!btn) return;
+    btn.style.background = name === mode ? '#3182bd' : 'white';
+    btn.style.color = name === mode ? 'white' : 'black';
+  });
   // Adjusts show state of brush so it is not showing up when not in use
-  const show = mode === 'cluster';
-  d3.selectAll('.brush').style('display', show ? null : 'none');
-  isBrushing = false;
+  updateBrushOverlays();
+  // Compare panel only shows in compare mode
+  const comparePanel = document.getElementById('compare-panel');
+  if (comparePanel) comparePanel.style.display = mode === 'compare' ? null : 'none';
+}
+
+
+// Show the scatter brush or lasso overlay that matches the selection mode and shape, and hide the other
+function updateBrushOverlays() {
+  const cluster = store.get('selectionMode') === 'cluster';
+  d3.selectAll('.brush').style('display', cluster && brushShape === 'rect' ? null : 'none');
+  d3.selectAll('.lasso-area').style('display', cluster && brushShape === 'lasso' ? null : 'none');
+}
+
+
+// Make a set of counties the multi-county selection, highlighted on the map and in every scatterplot
+function selectCountySet(names) {
+  store.set({ brushedCountyNames: names });
+  announce(names.size ? `${names.size} ${names.size === 1 ? 'county' : 'counties'} selected` : 'Selection cleared');
+  updateUrlState();
+}
+
+
+// Add a county to the multi-county selection or take it out. A county selected on its own starts the set.
+function toggleBrushedCounty(countyName) {
+  const { brushedCountyNames, selectedCountyName } = store.get();
+  const names = new Set(brushedCountyNames);
+  if (!names.size && selectedCountyName) names.add(selectedCountyName);
+  if (names.has(countyName)) names.delete(countyName);
+  else names.add(countyName);
+  selectCountySet(names);
+}
+
+
+// Summarize the multi-county selection: its size and population, its population-weighted outcome against the rest of
+// the state, and the median of each metric with a histogram of where the selected counties fall
+function updateSelectionSummary() {
+  const container = document.getElementById('selection-summary');
+  if (!container || !mapContext) return;
+  const { rows } = mapContext;
+  const brushedCountyNames = store.get('brushedCountyNames');
+  const selected = rows.filter(d => brushedCountyNames.has(d.CountyName));
+  if (!selected.length) {
+    container.style.display = 'none';
+    container.innerHTML = '';
+    return;
+  }
+  const rest = rows.filter(d => !brushedCountyNames.has(d.CountyName));
+  const { outcome, predictors } = manifest;
+  const population = d3.sum(selected, d => d.TotalPopulation);
+  const selectedRate = populationWeightedMean(selected, 'Outcome');
+  const restRate = populationWeightedMean(rest, 'Outcome');
+  const difference = selectedRate - restRate;
+  const differenceText = outcome.format === 'percent'
+    ? `${difference >= 0 ? '+' : '−'}${Math.abs(difference).toFixed(1)} pts`
+    : `${difference >= 0 ? '+' : '−'}${formatMetric(outcome.format, Math.abs(difference))}`;
+  const names = selected.map(d => escapeHtml(d.CountyName)).sort(d3.ascending);
+  const namesText = names.length > 8 ? `${names.slice(0, 8).join(', ')} and ${names.length - 8} more` : names.join(', ');
+
+  // The outcome, the predictors and the Needs Index once it is shown
+  const metrics = countyMetrics.filter(m => m.field === 'Outcome'
+    || predictors.some(p => p.column === m.field)
+    || (m.field === 'NeedsIndex' && rows.some(d => !isNaN(d.NeedsIndex))));
+  const median = (group, field) => d3.median(group, d => d[field]);
+  const formatOr = (metric, v) => v == null || isNaN(v) ? '—' : metric.format(v);
+
+  container.innerHTML = `
+    <h3 style="margin:0 0 6px 0; font-size:15px;">Selection: ${selected.length} ${selected.length === 1 ? 'county' : 'counties'}</h3>
+    <p style="margin:0 0 4px 0; color:#555;">${namesText}</p>
+    <p style="margin:0 0 4px 0;"><strong>Population:</strong> ${d3.format(',')(population)} (${d3.format('.1%')(population / d3.sum(rows, d => d.TotalPopulation))} of the state)</p>
+    ${hasAffectedCounts() ? `<p style="margin:0 0 4px 0;"><strong>${escapeHtml(affectedLabel())}:</strong> ${formatMetric('count', d3.sum(selected, d => d.AffectedAdults))} (${d3.format('.1%')(d3.sum(selected, d => d.AffectedAdults) / d3.sum(rows, d => d.AffectedAdults))} of the state)</p>` : ''}
+    <p style="margin:0 0 8px 0;"><strong>${escapeHtml(outcome.label)}, population-weighted:</strong> ${formatMetric(outcome.format, selectedRate)}${rest.length ? ` vs ${formatMetric(outcome.format, restRate)} in the rest of the state (${differenceText})` : ''}</p>
+    <table style="width:100%; border-collapse:collapse; font-size:12px;">
+      <thead><tr>
+        <th style="text-align:left; padding:3px 6px;">Median</th>
+        <th style="text-align:right; padding:3px 6px;">Selection</th>
+        <th style="text-align:right; padding:3px 6px;">Rest of state</th>
+        <th style="text-align:left; padding:3px 6px;">All counties <span style="color:#f97316;">(selection)</span></th>
+      </tr></thead>
+      <tbody>${metrics.map(m => `
+        <tr style="border-top:1px solid #eee;">
+          <td style="padding:3px 6px;">${escapeHtml(m.label)}</td>
+          <td style="text-align:right; padding:3px 6px;">${formatOr(m, median(selected, m.field))}</td>
+          <td style="text-align:right; padding:3px 6px;">${formatOr(m, median(rest, m.field))}</td>
+          <td style="padding:3px 6px;"><svg class="selection-histogram" data-field="${m.field}"></svg></td>
+        </tr>`).join('')}
+      </tbody>
+    </table>
+  `;
+  container.style.display = 'block';
+
+  container.querySelectorAll('.selection-histogram').forEach(svg => {
+    drawSelectionHistogram(d3.select(svg), rows, metrics.find(m => m.field === svg.dataset.field));
+  });
+}
+
+
+// A small histogram of every county's value, with the selected counties' share of each bar in orange
+function drawSelectionHistogram(svg, rows, metric) {
+  const { field } = metric;
+  const brushedCountyNames = store.get('brushedCountyNames');
+  const width = 160;
+  const height = 28;
+  const values = rows.filter(d => d[field] != null && !isNaN(d[field]));
+  const x = d3.scaleLinear().domain(d3.extent(values, d => d[field])).nice().range([0, width]);
+  const bin = d3.bin().value(d => d[field]).domain(x.domain()).thresholds(x.ticks(15));
+  const bins = bin(values);
+  const y = d3.scaleLinear().domain([0, d3.max(bins, b => b.length) || 1]).range([height, 0]);
+
+  svg.attr('viewBox', `0 0 ${width} ${height}`).attr('width', width).attr('height', height);
+  const bars = svg.selectAll('g')
+    .data(bins)
+    .join('g')
+    .attr('transform', b => `translate(${x(b.x0)},0)`);
+  bars.append('rect')
+    .attr('width', b => Math.max(0, x(b.x1) - x(b.x0) - 1))
+    .attr('y', b => y(b.length))
+    .attr('height', b => height - y(b.length))
+    .attr('fill', '#d1d5db');
+  bars.append('rect')
+    .attr('width', b => Math.max(0, x(b.x1) - x(b.x0) - 1))
+    .attr('y', b => y(b.filter(d => brushedCountyNames.has(d.CountyName)).length))
+    .attr('height', b => height - y(b.filter(d => brushedCountyNames.has(d.CountyName)).length))
+    .attr('fill', '#f97316');
+  bars.append('title')
+    .text(b => `${metric.format(b.x0)} to ${metric.format(b.x1)}: ${b.filter(d => brushedCountyNames.has(d.CountyName)).length} of ${b.length} counties selected`);
+}
+
+
+// Shift, ctrl or cmd adds a lasso's counties to the current selection instead of replacing it
+function lassoSelection(names, event) {
+  const additive = event && (event.shiftKey || event.ctrlKey || event.metaKey);
+  return additive ? new Set([...store.get('brushedCountyNames'), ...names]) : names;
+}
+
+
+// A freehand lasso as a drag behavior. The outline is drawn into `layer`, and onMove and onEnd get the polygon in
+// the layer's coordinates along with the mouse or touch event, so callers can check modifier keys. Only one finger
+// draws; cancel() drops a lasso in progress without selecting anything and calls onCancel.
+function lassoBehavior(layer, { onMove, onEnd, onCancel, filter = () => true }) {
+  let points = [];
+  let outline = null;
+  const lasso = d3.drag()
+    .container(() => layer.node())
+    .filter(event => !event.button && !(event.touches && event.touches.length > 1) && filter(event))
+    .subject(event => ({ x: event.x, y: event.y }))
+    .on('start', event => {
+      store.set({ isBrushing: true });
+      points = [[event.x, event.y]];
+      outline = layer.append('path')
+        .attr('class', 'lasso-outline')
+        .attr('fill', '#3182bd')
+        .attr('fill-opacity', 0.1)
+        .attr('stroke', '#3182bd')
+        .attr('stroke-dasharray', '4,3')
+        .style('pointer-events', 'none');
+    })
+    .on('drag', event => {
+      if (!outline) return;
+      points.push([event.x, event.y]);
+      outline.attr('d', `M${points.join('L')}Z`);
+      if (onMove) onMove(points, event.sourceEvent);
+    })
+    .on('end', event => {
+      if (!outline) return;
+      store.set({ isBrushing: false });
+      outline.remove();
+      outline = null;
+      if (onEnd) onEnd(points, event.sourceEvent);
+    });
+  lasso.cancel = () => {
+    if (!outline) return;
+    store.set({ isBrushing: false });
+    outline.remove();
+    outline = null;
+    if (onCancel) onCancel();
+  };
+  return lasso;
+}
+
+
+// Counties within `steps` boundary crossings of a county (queen contiguity), including the county itself
+function countiesWithinSteps(fips, steps) {
+  const { neighbors } = mapContext;
+  const reached = new Set([fips]);
+  let frontier = [fips];
+  for (let step = 0; step < steps; step++) {
+    const next = [];
+    frontier.forEach(f => (neighbors.get(f) || []).forEach(n => {
+      if (reached.has(n)) return;
+      reached.add(n);
+      next.push(n);
+    }));
+    frontier = next;
+  }
+  return reached;
+}
+
+
+// Lasso counties on the map in cluster mode, switch the scatter brush between rectangle and lasso, and select the
+// neighbors of the selected county
+function setupMapSelection() {
+  const shapeSelect = document.getElementById('brush-shape');
+  const neighborButton = document.getElementById('select-neighbors');
+  const stepsInput = document.getElementById('neighbor-steps');
+
+  // Counties are picked by their centroid. Tiny lassos are sloppy clicks, which the county click handler gets instead.
+  const countiesIn = polygon => {
+    const { counties, byFips, path } = mapContext;
+    // The lasso is drawn over the zoomed map, so compare it with where the centroids are on screen
+    const transform = d3.zoomTransform(mapSvg.node());
+    return new Set(counties
+      .filter(f => byFips.has(getFipsFromFeature(f)) && d3.polygonContains(polygon, transform.apply(path.centroid(f))))
+      .map(f => byFips.get(getFipsFromFeature(f)).CountyName));
+  };
+  const isClick = polygon => polygon.length < 3 || Math.abs(d3.polygonArea(polygon)) < 16;
+  const lasso = lassoBehavior(mapSvg, {
+    filter: () => store.get('selectionMode') === 'cluster' && !!mapContext,
+    onMove: (polygon, event) => {
+      if (!isClick(polygon)) updateScatterHighlightsByNames(lassoSelection(countiesIn(polygon), event));
+    },
+    onEnd: (polygon, event) => {
+      if (isClick(polygon)) renderSelection();
+      else selectCountySet(lassoSelection(countiesIn(polygon), event));
+    },
+    onCancel: renderSelection
+  });
+  mapSvg.call(lasso.clickDistance(4));
+  // A second finger turns the gesture into a pinch zoom, so the lasso the first finger started is dropped
+  mapZoom.on('start.lasso', event => {
+    if (event.sourceEvent && event.sourceEvent.type === 'touchstart') lasso.cancel();
+  });
+
+  if (shapeSelect) {
+    shapeSelect.value = brushShape;
+    shapeSelect.addEventListener('change', () => {
+      brushShape = shapeSelect.value === 'lasso' ? 'lasso' : 'rect';
+      updateBrushOverlays();
+      updateUrlState();
+    });
+  }
+
+  if (neighborButton && stepsInput) {
+    neighborButton.addEventListener('click', () => {
+      const row = mapContext && mapContext.rows.find(d => d.CountyName === store.get('selectedCountyName'));
+      if (!row) return;
+      const steps = Math.max(1, Math.min(10, Math.round(+stepsInput.value) || 1));
+      stepsInput.value = steps;
+      const fipsSet = countiesWithinSteps(row.CountyFIPS, steps);
+      selectCountySet(new Set(mapContext.rows.filter(d => fipsSet.has(d.CountyFIPS)).map(d => d.CountyName)));
+    });
+  }
 }
 
 
@@ -48,56 +517,448 @@ function setSelectionMode(mode) {
 function setupSelectionModeControls() {
   const ind = document.getElementById('mode-individual');
   const clu = document.getElementById('mode-cluster');
+  const cmp = document.getElementById('mode-compare');
   if (!ind || !clu) return;
   ind.addEventListener('click', () => setSelectionMode('individual'));
   clu.addEventListener('click', () => setSelectionMode('cluster'));
-  setSelectionMode(selectionMode);
+  if (cmp) cmp.addEventListener('click', () => setSelectionMode('compare'));
+  const clearPins = document.getElementById('compare-clear');
+  if (clearPins) {
+    clearPins.addEventListener('click', () => {
+      store.set({ pinnedCountyNames: [] });
+      document.getElementById('compare-limit').style.display = 'none';
+      updateUrlState();
+    });
+  }
+}
+
+
+// Pin or unpin a county for comparison, keeping at most MAX_PINNED counties
+function togglePinnedCounty(countyName) {
+  let pinnedCountyNames = store.get('pinnedCountyNames');
+  const limit = document.getElementById('compare-limit');
+  // A county past the limit isn't pinned, so say why instead of ignoring the click
+  if (!pinnedCountyNames.includes(countyName) && pinnedCountyNames.length >= MAX_PINNED) {
+    const message = `At most ${MAX_PINNED} counties can be pinned. Unpin one to add ${countyName}.`;
+    if (limit) {
+      limit.textContent = message;
+      limit.style.display = 'block';
+    }
+    announce(message);
+    return;
+  }
+  if (limit) limit.style.display = 'none';
+  if (pinnedCountyNames.includes(countyName)) {
+    pinnedCountyNames = pinnedCountyNames.filter(n => n !== countyName);
+  } else {
+    pinnedCountyNames = [...pinnedCountyNames, countyName];
+  }
+  store.set({ pinnedCountyNames, selectedCountyName: null });
+  announce(`${pinnedCountyNames.length} of ${MAX_PINNED} counties pinned for comparison`);
+  updateUrlState();
+}
+
+
+// Rank a value against every county in the state (1 = highest)
+function rankInState(rows, field, value) {
+  if (value == null || isNaN(value)) return null;
+  const valid = rows.filter(d => d[field] != null && !isNaN(d[field]));
+  return { rank: valid.filter(d => d[field] > value).length + 1, total: valid.length };
+}
+
+
+// Check whether two counties' outcome 95% CIs overlap
+function ciOverlap(a, b) {
+  if ([a.OutcomeLow, a.OutcomeHigh, b.OutcomeLow, b.OutcomeHigh].some(isNaN)) return null;
+  return a.OutcomeLow <= b.OutcomeHigh && b.OutcomeLow <= a.OutcomeHigh;
+}
+
+
+// Build the side-by-side comparison table, state ranks and pairwise CI overlap flags for the pinned counties
+function updateComparePanel() {
+  const body = document.getElementById('compare-content');
+  if (!body) return;
+  const rowByName = new Map(scatterData.map(d => [d.CountyName, d]));
+  const pinned = store.get('pinnedCountyNames').map(n => rowByName.get(n)).filter(Boolean);
+
+  if (pinned.length < 2) {
+    body.innerHTML = `<p style="margin:0; font-size:12px; color:#555;">Click counties on the map or points in the graphs to pin them (${pinned.length} of 2-${MAX_PINNED} pinned${pinned.length ? ': ' + pinned.map(d => escapeHtml(d.CountyName)).join(', ') : ''}).</p>`;
+    return;
+  }
+
+  const header = pinned.map(d => `<th style="text-align:right; padding:4px 6px;">${escapeHtml(d.CountyName)}</th>`).join('');
+  const metricRows = countyMetrics.map(m => {
+    const cells = pinned.map(d => {
+      const v = d[m.field];
+      if (v == null || isNaN(v)) return '<td style="text-align:right; padding:4px 6px; color:#999;">N/A</td>';
+      const r = rankInState(scatterData, m.field, v);
+      const ci = m.ci ? `<br/><span style="color:#555;">${formatCI(d[m.ci[0]], d[m.ci[1]], m.ciFormat)}</span>` : '';
+      return `<td style="text-align:right; padding:4px 6px;">${m.format(v)}${ci}<br/><span style="color:#888;">#${r.rank} of ${r.total}</span></td>`;
+    }).join('');
+    return `<tr style="border-top:1px solid #eee;"><td style="padding:4px 6px;">${escapeHtml(m.label)}</td>${cells}</tr>`;
+  }).join('');
+
+  // Every pair is flagged, since non-overlapping intervals are the only ones safe to rank against each other
+  const pairs = [];
+  for (let i = 0; i < pinned.length; i++) {
+    for (let j = i + 1; j < pinned.length; j++) {
+      const overlap = ciOverlap(pinned[i], pinned[j]);
+      const label = overlap == null ? 'N/A'
+        : overlap ? '<span style="color:#b45309;">intervals overlap; can\'t be separated by CI overlap</span>'
+        : '<span style="color:#15803d;">no overlap, difference is significant</span>';
+      pairs.push(`<li>${escapeHtml(pinned[i].CountyName)} vs ${escapeHtml(pinned[j].CountyName)}: ${label}</li>`);
+    }
+  }
+
+  body.innerHTML = `
+    <table style="width:100%; border-collapse:collapse; font-size:12px;">
+      <thead><tr><th style="text-align:left; padding:4px 6px;">Metric</th>${header}</tr></thead>
+      <tbody>${metricRows}</tbody>
+    </table>
+    <p style="margin:8px 0 4px 0; font-size:12px;"><strong>${escapeHtml(manifest.outcome.label)} 95% CI overlap</strong> <span style="color:#888;">(rank #1 = highest in the state)</span></p>
+    <ul style="margin:0; padding-left:18px; font-size:12px;">${pairs.join('')}</ul>
+  `;
 }
 
 // Emphasize selected points in scatterplots with red fill and black stroke and outline them on the map with a thicker black outline
 function updateScatterHighlightsByNames(nameSet) {
+  styleSelection(name => nameSet.has(name));
+}
+
+
+// Mark the selected counties on the map and in every scatterplot. Besides the color, selected points are striped,
+// outlined and larger and selected counties get a heavy outline, so the selection doesn't rest on hue alone.
+function styleSelection(isSelected) {
   Object.values(scatterSvgs).forEach(svg => {
+    const stripes = `url(#${svg.attr("id")}-selected)`;
     svg.selectAll(".scatter-point")
-      .attr("fill", d => nameSet.has(d.CountyName) ? "#dc2626" : "#3182bd")
-      .attr("stroke", d => nameSet.has(d.CountyName) ? "#000" : "none")
-      .attr("stroke-width", d => nameSet.has(d.CountyName) ? 1.5 : 0)
-      .attr("r", d => nameSet.has(d.CountyName) ? 6 : 4);
+      .attr("fill", d => isSelected(d.CountyName) ? stripes : "#3182bd")
+      .attr("stroke", d => isSelected(d.CountyName) ? "#000" : "none")
+      .attr("stroke-width", d => isSelected(d.CountyName) ? 1.5 : 0)
+      .attr("r", function (d) {
+        const r = +this.getAttribute("data-radius") || 4;
+        return isSelected(d.CountyName) ? r + 2 : r;
+      })
+      .attr("aria-pressed", d => isSelected(d.CountyName));
   });
   try {
-    mapSvg.selectAll("path").each(function() {
+    mapSvg.selectAll("path.county").each(function() {
       const el = d3.select(this);
       const name = el.attr("data-county-name");
-      const isSel = name && nameSet.has(name);
+      const isSel = Boolean(name) && isSelected(name);
       el.attr("stroke", isSel ? "#000" : "#fff")
-        .attr("stroke-width", isSel ? 3 : 0.5);
+        .attr("stroke-width", isSel ? 3 : 0.5)
+        .attr("aria-pressed", name ? isSel : null);
     });
   } catch (e) {
     // If map hasn't loaded yet, fail silently
   }
+  refreshDataTables();
+}
+
+
+// Restyle the map and scatterplots for the committed selection, e.g. after a redraw or a brush preview
+function renderSelection() {
+  const selected = selectedNameSet();
+  styleSelection(name => selected.has(name));
+}
+
+
+// The counties currently selected, however they were picked
+function selectedNameSet() {
+  const { selectionMode, selectedCountyName, brushedCountyNames, pinnedCountyNames } = store.get();
+  if (selectionMode === 'compare') return new Set(pinnedCountyNames);
+  if (brushedCountyNames.size) return brushedCountyNames;
+  return new Set(selectedCountyName ? [selectedCountyName] : []);
+}
+
+
+// Read a message out to screen readers through the page's live region
+function announce(message) {
+  const status = document.getElementById('a11y-status');
+  if (!status) return;
+  // Clearing first makes a repeated message count as a change
+  status.textContent = '';
+  requestAnimationFrame(() => { status.textContent = message; });
+}
+
+
+// Roving keyboard focus over a set of SVG marks. Only one mark is in the tab order at a time. The arrow keys move to
+// the nearest mark in that direction, Home and End jump to the first and last, and Enter or Space clicks the focused
+// mark, with Shift, Ctrl or Cmd passed along so they add to the selection as they do with the mouse.
+function makeKeyboardNavigable(marks, position, initial = 0) {
+  const nodes = marks.nodes();
+  if (!nodes.length) return;
+  const moveTo = (from, to) => {
+    from.setAttribute("tabindex", -1);
+    to.setAttribute("tabindex", 0);
+    to.focus();
+  };
+  const directions = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+  marks
+    .attr("tabindex", (d, i) => i === Math.max(0, initial) ? 0 : -1)
+    .on("keydown.navigate", function (event, d) {
+      if (event.key in directions) {
+        event.preventDefault();
+        const [dx, dy] = directions[event.key];
+        const [x0, y0] = position(d);
+        // Favor marks straight ahead over ones that are closer but off to the side
+        let best = null;
+        let bestScore = Infinity;
+        marks.each(function (other) {
+          if (this === event.currentTarget) return;
+          const [x, y] = position(other);
+          const along = (x - x0) * dx + (y - y0) * dy;
+          if (along <= 0) return;
+          const score = along + 2 * Math.abs((x - x0) * dy + (y - y0) * dx);
+          if (score < bestScore) {
+            best = this;
+            bestScore = score;
+          }
+        });
+        if (best) moveTo(this, best);
+      } else if (event.key === "Home" || event.key === "End") {
+        event.preventDefault();
+        moveTo(this, event.key === "Home" ? nodes[0] : nodes[nodes.length - 1]);
+      } else if (event.key === "Enter" || event.key === " ") {
+        event.preventDefault();
+        this.dispatchEvent(new MouseEvent("click", {
+          bubbles: true,
+          shiftKey: event.shiftKey,
+          ctrlKey: event.ctrlKey,
+          metaKey: event.metaKey
+        }));
+      }
+    });
+}
+
+
+// Show the hover tooltip beside a mark that has keyboard focus
+function showTooltipBeside(element, html) {
+  const box = element.getBoundingClientRect();
+  tooltip
+    .style("opacity", 1)
+    .html(html)
+    .style("left", (box.right + window.scrollX + 6) + "px")
+    .style("top",  (box.top + window.scrollY + box.height / 2) + "px");
+}
+
+
+// Plain text for the screen-reader labels and data tables from tooltip HTML
+function tooltipText(html) {
+  return html.replace(/<br\s*\/?>/g, "; ").replace(/<[^>]+>/g, "")
+    .replace(/&(amp|lt|gt|quot|#39);/g, (_, name) => ({ amp: "&", lt: "<", gt: ">", quot: '"', "#39": "'" })[name])
+    .replace(/\s+/g, " ").trim();
+}
+
+
+// Data tables that stand in for the map and each scatterplot, filled while they're open
+const dataTables = new Map();
+
+// Register a view's table. describe() returns { caption, columns, rows } with each row as { county, cells }, the
+// county's name and its cell text in column order. A Selected column is added at the end.
+function registerDataTable(key, details, describe) {
+  const fill = () => {
+    if (!details.property("open")) return;
+    const { caption, columns, rows } = describe();
+    const selected = selectedNameSet();
+    details.select("table").remove();
+    const table = details.append("table");
+    table.append("caption").text(caption);
+    table.append("thead").append("tr")
+      .selectAll("th")
+      .data([...columns, "Selected"])
+      .join("th")
+      .attr("scope", "col")
+      .text(d => d);
+    // The first cell names the row for screen readers moving across it
+    const tr = table.append("tbody")
+      .selectAll("tr")
+      .data(rows)
+      .join("tr");
+    tr.append("th")
+      .attr("scope", "row")
+      .text(row => row.cells[0]);
+    tr.selectAll("td")
+      .data(row => [...row.cells.slice(1), selected.has(row.county) ? "Yes" : ""])
+      .join("td")
+      .text(d => d);
+  };
+  dataTables.set(key, fill);
+  details.on("toggle.table", fill);
+  fill();
+}
+
+
+function refreshDataTables() {
+  dataTables.forEach(fill => fill());
+}
+
+
+// Tooltip lines for the outcome and secondary outcome with their 95% CIs
+function outcomeTooltipLines(row) {
+  const { outcome, secondaryOutcome } = manifest;
+  let html = `${escapeHtml(outcome.label)}: ${formatMetric(outcome.format, row.Outcome)} (${formatCI(row.OutcomeLow, row.OutcomeHigh)})`;
+  if (hasAffectedCounts()) html += `<br/>${escapeHtml(affectedLabel())}: ${formatMetric("count", row.AffectedAdults)}`;
+  if (secondaryOutcome) {
+    html += `<br/>${escapeHtml(secondaryOutcome.label)}: ${formatMetric(secondaryOutcome.format, row.Secondary)} (${formatCI(row.SecondaryLow, row.SecondaryHigh)})`;
+  }
+  return html;
 }
 
 
-// Load CSV + GeoJSON data files
-Promise.all([
-  d3.csv("data/NC_County_Data.csv"),
-  d3.json("data/nc-counties.geojson")
-]).then(([rows, geo]) => {
+// Format a low/high interval for display next to a prevalence value, or next to another value with its own format
+function formatCI(low, high, format = null) {
+  if (isNaN(low) || isNaN(high)) return "95% CI N/A";
+  if (format) return `95% CI ${format(low)}–${format(high)}`;
+  return `95% CI ${low.toFixed(1)}–${high.toFixed(1)}%`;
+}
+
+// Load the dataset manifest, then the CSV + boundary (TopoJSON or GeoJSON) files it names
+loadFile(d3.json, datasetUrl).then(m => {
+  manifest = m;
+  buildDatasetConfig();
+  return Promise.all([
+    loadFile(d3.csv, manifest.csv),
+    loadFile(d3.json, manifest.boundaries).then(boundaryFeatures),
+    // Region definitions are optional, so the page still loads without them
+    manifest.regions ? loadFile(d3.csv, manifest.regions.csv).catch(err => {
+      console.warn(err.message);
+      return null;
+    }) : null,
+    // So are the other release years. The manifest's csv is one of them and is only loaded once.
+    Promise.all(Object.entries(manifest.years || {}).map(([year, csv]) => csv === manifest.csv
+      ? [year, null]
+      : loadFile(d3.csv, csv).then(yearRows => [year, yearRows]).catch(err => {
+        console.warn(err.message);
+        return [year, undefined];
+      })))
+  ]);
+}).then(([rows, geo, regions, yearFiles]) => {
     console.log("✅ Promise resolved");
 console.log("Rows loaded from CSV:", rows.length);
 console.log("GeoJSON type:", geo.type);
 console.log("GeoJSON features:", geo.features ? geo.features.length : "NO FEATURES");
 
-  // Clean up the CSV values from data files and assign types
-  rows.forEach(d => {
-    d.DEPRESSION_AdjPrev   = +d["DEPRESSION_AdjPrev"];   // age-adjusted %
-    d.DEPRESSION_CrudePrev = +d["DEPRESSION_CrudePrev"]; // crude %
-    d.TotalPopulation      = +d["TotalPopulation"]; // total population
-    d.TotalPop18plus       = +d["TotalPop18plus"]; // adult population
-    d.MedianIncome         = +d["MedianIncome"]; // median income
-    d.PovertyRate          = +d["PovertyRate"]; // poverty %
-    d.BAplusPercent        = +d["BAplusPercent"]; // education %
-    d.CountyFIPS           = d["CountyFIPS"].toString().padStart(5, "0"); // count FIPS code: connects the counties from CSV to GeoJSON boundaries
+  // Files that can't be drawn at all get the same checks as uploads, shown on the page instead of a blank map
+  const { errors, warnings } = validateDataset(rows, geo, manifest);
+  warnings.forEach(w => console.warn(w));
+  if (errors.length) {
+    showLoadError(errors);
+    return;
+  }
+
+  // Years whose files are missing or fail the checks are left out of the time series
+  const yearEntries = yearFiles
+    .map(([year, yearRows]) => [year, yearRows === null ? rows : yearRows])
+    .filter(([year, yearRows]) => {
+      if (!yearRows) return false;
+      const check = validateDataset(yearRows, geo, manifest);
+      if (check.errors.length) console.warn(`Leaving out ${year}: ${check.errors.join(' ')}`);
+      return !check.errors.length;
+    })
+    .sort((a, b) => a[0] - b[0]);
+  const years = yearEntries.length > 1 ? new Map(yearEntries) : null;
+  if (years && !yearEntries.some(([, yearRows]) => yearRows === rows)) rows = years.get(defaultYear(years));
+
+  regionRows = regions;
+  // Title the page and build the manifest-driven panels and controls
+  setupDatasetLabels();
+  buildScatterPanels();
+  buildNeedsIndexInputs();
+  setupTabs();
+  // Add selection mode controls and the views that follow the selection
+  setupSelectionViews();
+  setupSelectionModeControls();
+  // Add map zoom. It listens before the map lasso, so a two-finger pinch reaches it even while a lasso is being drawn.
+  setupMapZoom();
+  // Add the map lasso, scatter lasso and neighbor selection
+  setupMapSelection();
+  // Add the county search and the layout picker
+  setupCountySearch();
+  setupMapLayoutControls();
+  // Create needs index controls
+  setupNeedsIndexControls();
+  // Create sidebar tabs and toggle feature for them
+  setupSidebarTabs();
+  // Add the uncertain county hatch toggle and the estimated-adults circles
+  setupUncertaintyControls();
+  setupAffectedSymbolControls();
+  // Add regression fit and residual map controls
+  setupRegressionControls();
+  // Add the multivariate model panel
+  setupModelPanel();
+  // Add the bivariate map controls
+  setupBivariateControls();
+  // Add the hotspot (LISA) cluster map controls
+  setupLisaControls();
+  // Add the region grouping picker and region map
+  setupRegionControls();
+  // Add the legend classing controls
+  setupClassingControls();
+  // Add the drag-and-drop upload for user data files
+  setupUploadControls();
+  // Add the CSV, SVG, PNG and county report exports
+  setupExportControls();
+  // Add the Needs Index rank stability analysis
+  setupSensitivityControls();
+  // Add saved Needs Index presets
+  setupNeedsPresets();
+  // Add the year slider and change map
+  setupYearControls();
+  // Draw the map and scatterplots from the loaded files
+  showDataset(rows, geo, { csv: years ? manifest.years[defaultYear(years)] : manifest.csv, boundaries: manifest.boundaries }, years);
+  // Restore the view from a shared link, and step through selections with back/forward
+  applyUrlState();
+  window.addEventListener('popstate', () => applyUrlState({ selectionOnly: true }));
+}).catch(err => {
+  console.error("Error loading data or geojson:", err);
+  showLoadError([err.message]);
+});
+
+
+// Fetch one of the dataset files, naming the file in the error if it is missing or malformed
+function loadFile(load, url) {
+  return load(url).catch(err => {
+    // fetch fails with a TypeError when there is no server at all, which is what opening index.html from disk does
+    const hint = err instanceof TypeError ? ' If you opened index.html straight from disk, serve the folder instead, e.g. with python3 -m http.server.' : '';
+    throw new Error(`Couldn't load ${url} (${err.message}).${hint}`);
   });
+}
+
+
+// Replace the map with a message saying why the dataset didn't load
+function showLoadError(messages) {
+  const box = document.getElementById('load-error');
+  if (!box) return;
+  mapSvg.style('display', 'none');
+  // The messages quote the ?dataset= URL and file contents, so they go in as text, never markup
+  const content = d3.select(box).html('');
+  content.append('strong').text("The dataset couldn't be loaded.");
+  content.append('ul')
+    .style('margin', '6px 0 0 0')
+    .style('padding-left', '18px')
+    .selectAll('li')
+    .data(messages)
+    .join('li')
+    .text(m => m);
+  box.style.display = null;
+}
+
+
+// FIPS code of a boundary feature under the loaded manifest's join
+function getFipsFromFeature(f) {
+  return featureFips(f, manifest);
+}
+
+
+// Draw every view from a set of CSV rows and boundaries. Runs on page load and again whenever the user uploads their own files.
+// years optionally maps each release year to its rows, with rows being the year to show.
+function showDataset(rows, geo, source, years = null) {
+  datasetYears = years;
+  currentYear = years ? [...years.keys()].find(year => years.get(year) === rows) : null;
+  const rowSets = years ? [...years.values()] : [rows];
+  rowSets.forEach(set => cleanRows(set, manifest));
 
   // maps the CSV rows by CountyFIPS for easy lookup
   const byFips = new Map(rows.map(d => [d.CountyFIPS, d]));
@@ -105,24 +966,18 @@ console.log("GeoJSON features:", geo.features ? geo.features.length : "NO FEATUR
   // Uses the GeoJSON features to set up county boundaries
   const counties = geo.features;
 
-  // Match county FIPS between CSV and GeoJSON
-  function getFipsFromFeature(f) {
-    const props = f.properties || {};
-    if (props.GEOID) {
-      return String(props.GEOID).padStart(5, "0");
-    }
-    if (props.FIPS) {
-      // FIPS is 3-digit county code; NC state code is 37
-      return ("37" + String(props.FIPS).padStart(3, "0"));
-    }
-    if (props.COUNTYFP) {
-      return ("37" + String(props.COUNTYFP).padStart(3, "0"));
-    }
-    if (f.id != null) {
-      return String(f.id).padStart(5, "0");
-    }
-    return "";
-  }
+  // Approximate land area and population density from the boundary geometry, since the CSV has no area column
+  const areaByFips = new Map(counties.map(f => {
+    // Rings wound the opposite way from what d3 expects measure as the rest of the globe, so flip those
+    let steradians = d3.geoArea(f);
+    if (steradians > 2 * Math.PI) steradians = 4 * Math.PI - steradians;
+    return [getFipsFromFeature(f), steradians * 3958.8 * 3958.8];
+  }));
+  rowSets.flat().forEach(row => {
+    if (!areaByFips.has(row.CountyFIPS)) return;
+    row.AreaSqMi = areaByFips.get(row.CountyFIPS);
+    row.PopDensity = row.TotalPopulation / row.AreaSqMi;
+  });
 
   // Sets fixed size for map
   const mapWidth  = 800;
@@ -138,315 +993,2393 @@ console.log("GeoJSON features:", geo.features ? geo.features.length : "NO FEATUR
   const path = d3.geoPath().projection(projection);
 
 
-  // Create color scale for depression rate and assigns a sequential red scale using the D3 interpolateReds scale
-  const depExtent = d3.extent(rows, d => d.DEPRESSION_AdjPrev);
-  const colorDep = d3.scaleSequential(d3.interpolateReds).domain(depExtent);
+  // Create color scale for the outcome rate and assigns a sequential red scale using the D3 interpolateReds scale.
+  // With several years the scale covers all of them, so a county's shade means the same rate in every year.
+  const outcomeExtent = d3.extent(rowSets.flat(), d => d.Outcome);
+  const colorOutcome = d3.scaleSequential(d3.interpolateReds).domain(outcomeExtent);
 
-  // Depression rate color scale for intial state
+  // Needs index color scale, used once the index is applied
   const colorNeeds = d3.scaleSequential(d3.interpolateReds).domain([0, 10]);
-  drawMap(counties, byFips, getFipsFromFeature, path, colorDep, depExtent, 'Depression Rate (age-adjusted %)');
+  // Counties sharing a boundary point, for the hotspot statistics, and the county groupings for the region controls
+  const neighbors = queenNeighbors(counties, getFipsFromFeature);
+  const regionGroupings = buildRegionGroupings(rows, counties, byFips);
+  // path draws the counties in the current layout; the other layouts are worked out the first time they're shown
+  mapContext = { rows, counties, byFips, getFipsFromFeature, path, colorOutcome, outcomeExtent, colorNeeds, neighbors, regionGroupings,
+    topology: geo.topology || null, layoutPaths: { geographic: path } };
+  mapContext.path = layoutPath(mapLayout);
+
+  // Columns added to the Needs Index only carry over if the new data has them
+  const addable = new Set(needsColumnOptions().map(o => o.key));
+  needsComponentList = needsComponentList.filter(c => !c.added || addable.has(c.key));
+  buildNeedsIndexInputs();
+
+  // Selections, map overlays and the Needs Index belong to the previous dataset, so start fresh
+  rows.forEach(d => { delete d.NeedsIndex; });
+  needsWeights = null;
+  needsSensitivity = null;
+  d3.select('#sensitivity-results').selectAll('*').remove();
+  const stabilityToggle = document.getElementById('toggle-stability-map');
+  if (stabilityToggle) stabilityToggle.disabled = true;
+  store.set({ selectedCountyName: null, brushedCountyNames: new Set(), pinnedCountyNames: [] });
+  clearMapOverlays();
+  resetCountyDetails();
+  updateSelectionSummary();
+  dataSource = source;
+  updateDataSourceLabel();
+
+  resetUncertaintyThreshold(rows);
+  updateCountySearchOptions();
+  updateYearControls();
+  // A new dataset can have different boundaries, so start from the whole map
+  mapSvg.call(mapZoom.transform, d3.zoomIdentity);
+  drawMap(counties, byFips, getFipsFromFeature, mapContext.path, colorOutcome, outcomeExtent, outcomeTitle());
   drawAllScatters(rows);
-  setupTabs();
   // Add region buttons
-  setupRegionButtons(counties, byFips, getFipsFromFeature);
-  // Add selection mode controls
-  setupSelectionModeControls();
-  // Create needs index controls
-  setupNeedsIndexControls(rows, counties, byFips, getFipsFromFeature, path, colorNeeds);
-  // Create sidebar tabs and toggle feature for them
-  setupSidebarTabs();
-  setupNeedsTabToggle();
-}).catch(err => {
-  console.error("Error loading data or geojson:", err);
-});
+  setupRegionButtons();
+  updateModelPanel();
+  updateBrushOverlays();
+  updateUrlState();
+}
 
 
-// Set up the two tab views in the sidebar and style their intial state
-function setupSidebarTabs() {
-  const tabFormula = document.getElementById('tab-formula');
-  const tabGraphs = document.getElementById('tab-graphs');
-  const panelFormula = document.getElementById('panel-formula');
-  const panelGraphs = document.getElementById('panel-graphs');
-  if (!tabFormula || !tabGraphs || !panelFormula || !panelGraphs) return;
+// Show which CSV and boundary files the views are currently drawn from
+function updateDataSourceLabel() {
+  const label = document.getElementById('data-source-files');
+  if (!label || !dataSource) return;
+  const fileName = p => String(p).split('/').pop();
+  label.textContent = `${fileName(dataSource.csv)} + ${fileName(dataSource.boundaries)}`;
+}
 
-  function showFormula() {
-    panelFormula.style.display = null;
-    panelGraphs.style.display = 'none';
-    tabFormula.classList.add('active');
-    tabGraphs.classList.remove('active');
-  }
 
-  function showGraphs() {
-    panelFormula.style.display = 'none';
-    panelGraphs.style.display = null;
-    tabGraphs.classList.add('active');
-    tabFormula.classList.remove('active');
+// Turn a parsed boundary file into a FeatureCollection. TopoJSON topologies use their counties object, or the first one,
+// and the collection keeps the topology and that object so shared county edges can be meshed into region outlines.
+function boundaryFeatures(json) {
+  if (json && json.type === 'Topology') {
+    if (typeof topojson === 'undefined') throw new Error('TopoJSON support did not load.');
+    const objects = json.objects || {};
+    const object = objects.counties || Object.values(objects)[0];
+    if (!object) throw new Error('The TopoJSON file has no objects.');
+    const geo = topojson.feature(json, object);
+    const features = geo.type === 'FeatureCollection' ? geo.features : [geo];
+    return { type: 'FeatureCollection', features, topology: { topology: json, object } };
   }
+  if (json && json.type === 'Feature') return { type: 'FeatureCollection', features: [json] };
+  return json;
+}
 
-  tabFormula.addEventListener('click', showFormula);
-  tabGraphs.addEventListener('click', showGraphs);
 
-  // Graphs show as default
-  showGraphs();
-}
+// Let users drop (or pick) their own CSV and GeoJSON/TopoJSON files in place of the manifest's.
+// A single dropped file replaces just that half of the dataset; the other file stays as it is.
+function setupUploadControls() {
+  const button = document.getElementById('upload-button');
+  const input = document.getElementById('upload-input');
+  const dialog = document.getElementById('upload-dialog');
+  if (!button || !input || !dialog) return;
 
-// Function to calculate formula for needs index using user-defined weights
-function computeNeedsIndex(rows, weights) {
-  // If variables were chosen, assigns weights
-  const vars = [];
-  if (weights.income > 0) vars.push('income');
-  if (weights.education > 0) vars.push('education');
-  if (weights.depression > 0) vars.push('depression');
-  if (weights.poverty > 0) vars.push('poverty');
-
-  // Ensures normalization of values
-  function norm(values, invert=false) {
-    const min = d3.min(values);
-    const max = d3.max(values);
-    if (min === max) return values.map(_ => 0.5);
-    return values.map(v => {
-      const t = (v - min) / (max - min);
-      return invert ? 1 - t : t;
-    });
-  }
+  button.addEventListener('click', () => input.click());
+  input.addEventListener('change', () => {
+    handleUploadedFiles([...input.files]);
+    input.value = '';
+  });
+
+  // Dropping files anywhere on the page works; the outline shows where they will land
+  let dragDepth = 0;
+  document.addEventListener('dragenter', event => {
+    if (!event.dataTransfer || ![...event.dataTransfer.types].includes('Files')) return;
+    dragDepth++;
+    document.body.classList.add('drag-over');
+  });
+  document.addEventListener('dragleave', () => {
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (!dragDepth) document.body.classList.remove('drag-over');
+  });
+  document.addEventListener('dragover', event => event.preventDefault());
+  document.addEventListener('drop', event => {
+    event.preventDefault();
+    dragDepth = 0;
+    document.body.classList.remove('drag-over');
+    if (event.dataTransfer && event.dataTransfer.files.length) handleUploadedFiles([...event.dataTransfer.files]);
+  });
 
-  // Creates arrays of each variable's values from the CSV data
-  const incomeVals = rows.map(r => r.MedianIncome);
-  const eduVals = rows.map(r => r.BAplusPercent);
-  const depVals = rows.map(r => r.DEPRESSION_AdjPrev);
-  const povVals = rows.map(r => r.PovertyRate);
+  document.getElementById('upload-cancel').addEventListener('click', () => { dialog.style.display = 'none'; });
+}
 
-  const nIncome = norm(incomeVals, true); 
-  const nEdu = norm(eduVals, true); 
-  const nDep = norm(depVals, false);
-  const nPov = norm(povVals, false);
 
-  // Creates a sum of normalized weights
-  let total = (weights.income || 0) + (weights.education || 0) + (weights.depression || 0) + (weights.poverty || 0);
-  if (total === 0) total = 1; 
+// Read the uploaded files, validate them against the manifest and show the report before loading
+function handleUploadedFiles(files) {
+  const csvFile = files.find(f => /\.(csv|txt)$/i.test(f.name));
+  const geoFile = files.find(f => /\.(geo|topo)?json$/i.test(f.name));
+  if (!csvFile && !geoFile) {
+    showUploadReport({ errors: [`Unrecognized file type: ${files.map(f => f.name).join(', ')}. Drop a .csv and/or a .geojson, .topojson or .json file.`], warnings: [] });
+    return;
+  }
 
-  const wi = (weights.income || 0) / total;
-  const we = (weights.education || 0) / total;
-  const wd = (weights.depression || 0) / total;
-  const wp = (weights.poverty || 0) / total;
+  // Reuse the current data for whichever file wasn't uploaded. The current rows keep their raw columns, so they can be checked and cleaned again.
+  const current = mapContext ? { rows: mapContext.rows, geo: { type: 'FeatureCollection', features: mapContext.counties } } : null;
 
-  // Computes the final NeedsIndex score for each row (county)
-  rows.forEach((r, i) => {
-    const score = (nIncome[i] * wi) + (nEdu[i] * we) + (nDep[i] * wd) + (nPov[i] * wp);
-    r.NeedsIndex = +(score * 10).toFixed(2);
+  Promise.all([
+    csvFile ? csvFile.text().then(text => d3.csvParse(text)) : Promise.resolve(current && current.rows),
+    geoFile ? geoFile.text().then(text => boundaryFeatures(JSON.parse(text))) : Promise.resolve(current && current.geo)
+  ]).then(([rows, geo]) => {
+    const report = validateDataset(rows || [], geo, manifest);
+    const source = { csv: csvFile ? csvFile.name : dataSource.csv, boundaries: geoFile ? geoFile.name : dataSource.boundaries };
+    // A new CSV is a single snapshot; new boundaries keep the release years already loaded
+    showUploadReport(report, source, () => showDataset(rows, geo, source, csvFile ? null : datasetYears));
+  }).catch(err => {
+    showUploadReport({ errors: [`Could not read ${(geoFile || csvFile).name}: ${err.message}`], warnings: [] });
   });
 }
 
-// Creates apply and reset buttons for the Needs Index controls
-function setupNeedsIndexControls(rows, counties, byFips, getFipsFromFeature, path, colorNeeds) {
-  const apply = document.getElementById('apply-needs');
-  const reset = document.getElementById('reset-needs');
-  if (!apply || !reset) return;
 
-  apply.addEventListener('click', () => {
-    // Gets user input from checkboxes and sliders in the formula tab
-    const useIncome = document.getElementById('var-income').checked;
-    const useEdu = document.getElementById('var-education').checked;
-    const useDep = document.getElementById('var-depression').checked;
-    const usePov = document.getElementById('var-poverty').checked;
-    const wIncome = +document.getElementById('w-income').value;
-    const wEdu = +document.getElementById('w-education').value;
-    const wDep = +document.getElementById('w-depression').value;
-    const wPov = +document.getElementById('w-poverty').value;
-
-    const weights = {
-      income: useIncome ? wIncome : 0,
-      education: useEdu ? wEdu : 0,
-      depression: useDep ? wDep : 0,
-      poverty: usePov ? wPov : 0
-    };
+// Fill in and open the validation report dialog. onLoad is only offered when nothing blocks loading.
+function showUploadReport(report, source, onLoad) {
+  const dialog = document.getElementById('upload-dialog');
+  const content = d3.select('#upload-report');
+  const load = document.getElementById('upload-load');
+  const { errors, warnings } = report;
+  const fileName = p => String(p).split('/').pop();
+  const list = (items, color) => `<ul style="margin:4px 0 8px 0; padding-left:18px; color:${color};">${items.map(t => `<li>${escapeHtml(t)}</li>`).join('')}</ul>`;
 
-    computeNeedsIndex(rows, weights);
-    // Update the color scale domain for Needs Index
-    const newExtent = d3.extent(rows, d => d.NeedsIndex);
-    colorNeeds.domain(newExtent);
-    drawMap(counties, byFips, getFipsFromFeature, path, colorNeeds, newExtent, 'Needs Index (0-10)');
-  });
+  content.html(`
+    ${source ? `<p style="margin:0 0 6px 0;">Files: <strong>${escapeHtml(fileName(source.csv))}</strong> + <strong>${escapeHtml(fileName(source.boundaries))}</strong></p>` : ''}
+    ${errors.length ? `<p style="margin:0;"><strong>Can't load:</strong></p>${list(errors, '#b2182b')}` : ''}
+    ${warnings.length ? `<p style="margin:0;"><strong>Warnings:</strong></p>${list(warnings, '#8c510a')}` : ''}
+    ${!errors.length && !warnings.length ? '<p style="margin:0 0 8px 0; color:#1a9850;">All checks passed.</p>' : ''}
+  `);
 
-  // Reset button to default values upon clicking reset
-  reset.addEventListener('click', () => {
-    document.getElementById('var-income').checked = true;
-    document.getElementById('var-education').checked = true;
-    document.getElementById('var-depression').checked = true;
-    document.getElementById('var-poverty').checked = true;
-    document.getElementById('w-income').value = 25;
-    document.getElementById('w-education').value = 25;
-    document.getElementById('w-depression').value = 25;
-    document.getElementById('w-poverty').value = 25;
-    computeNeedsIndex(rows, { income:0.25, education:0.25, depression:0.25, poverty:0.25 });
-    const newExtent = d3.extent(rows, d => d.NeedsIndex);
-    colorNeeds.domain(newExtent);
-    drawMap(counties, byFips, getFipsFromFeature, path, colorNeeds, newExtent, 'Needs Index (0-10)');
-  });
+  const canLoad = !errors.length && onLoad;
+  load.style.display = canLoad ? null : 'none';
+  load.textContent = warnings.length ? 'Load anyway' : 'Load';
+  load.onclick = () => {
+    dialog.style.display = 'none';
+    onLoad();
+  };
+  dialog.style.display = 'flex';
 }
 
 
+// Selection keys in the URL hash. Changing one of these adds a history entry, so back/forward steps through
+// selections; every other setting replaces the current entry.
+const URL_SELECTION_KEYS = ['mode', 'county', 'brushed', 'pins'];
 
+// Serialize the view state to hash parameters, leaving out anything still at its default. Counties are stored by FIPS code.
+function viewStateParams() {
+  const params = new URLSearchParams();
+  const fipsByName = new Map(mapContext.rows.map(d => [d.CountyName, d.CountyFIPS]));
+  const fipsList = names => [...names].map(n => fipsByName.get(n)).filter(Boolean).join(',');
+  const { selectionMode, selectedCountyName, brushedCountyNames, pinnedCountyNames } = store.get();
 
-// Add functionality for region selection buttons by splitting counties into west/central/east based on centroid longitudes and selecting + outlining the counties of those regions
-function setupRegionButtons(counties, byFips, getFipsFromFeature) {
-  const container = d3.select('#region-controls');
-  if (container.empty()) return;
-  const lonByFeature = counties.map(f => ({
-    f,
-    lon: d3.geoCentroid(f)[0]
-  }));
+  if (selectionMode !== 'individual') params.set('mode', selectionMode);
+  if (fipsByName.has(selectedCountyName)) params.set('county', fipsByName.get(selectedCountyName));
+  if (brushedCountyNames.size) params.set('brushed', fipsList(brushedCountyNames));
+  if (pinnedCountyNames.length) params.set('pins', fipsList(pinnedCountyNames));
 
-  const lons = lonByFeature.map(d => d.lon).sort((a,b) => a-b);
-  const t1 = lons[Math.floor(lons.length/3)];
-  const t2 = lons[Math.floor((lons.length*2)/3)];
+  if (datasetYears && currentYear !== defaultYear(datasetYears)) params.set('year', currentYear);
+  if (sidebarPanel !== 'graphs') params.set('panel', sidebarPanel);
+  if (brushShape !== 'rect') params.set('brush', brushShape);
+  if (needsWeights) params.set('needs', needsComponentList.map(c => `${c.key}:${needsWeights[c.key] || 0}:${c.direction}`).join(','));
+  if (needsWeights && needsNormalization !== 'minmax') params.set('norm', needsNormalization);
+  if (needsWeights && needsWinsorize) params.set('winsor', '1');
+  if (needsSensitivity) params.set('sensitivity', `${needsSensitivity.mode}:${needsSensitivity.samples}:${needsSensitivity.topN}`);
 
-  function regionNamesForPredicate(pred) {
-    const names = new Set();
-    lonByFeature.forEach(({f, lon}) => {
-      if (!pred(lon)) return;
-      const fips = getFipsFromFeature(f);
-      const row = byFips.get(fips);
-      if (row) names.add(row.CountyName);
-    });
-    return names;
+  if (showUncertainHatch) params.set('hatch', uncertainCIThreshold);
+  if (showRegressionFit) params.set('fit', '1');
+  if (weightFitByPopulation) params.set('weighted', '1');
+  if (sizeScatterByPopulation) params.set('sized', '1');
+  if (showAffectedSymbols) params.set('symbols', '1');
+  if (mapLayout !== 'geographic') params.set('layout', mapLayout);
+  if (mapClassing.method !== 'continuous') {
+    params.set('classes', mapClassing.method);
+    params.set('k', mapClassing.classes);
   }
+  if (mapClassing.palette !== 'default') params.set('palette', mapClassing.palette);
+  const defaultModelKeys = modelPredictors.filter(p => p.checked).map(p => p.key).join(',');
+  if (modelPredictorKeys && modelPredictorKeys.join(',') !== defaultModelKeys) params.set('model', modelPredictorKeys.join(','));
 
-  // Function to create a button with label and onClick handler for other functions to use for UI creation
-  function makeButton(label, onClick) {
-    const btn = container.append('button')
-      .attr('type', 'button')
-      .style('padding', '6px 10px')
-      .style('border', '1px solid #ccc')
-      .style('background', 'white')
-      .style('cursor', 'pointer')
-      .text(label)
-      .on('click', onClick);
-    return btn;
+  if (bivariateFields) params.set('bivariate', `${bivariateFields.x},${bivariateFields.y}`);
+  if (lisaField) params.set('lisa', lisaField);
+  if (regionGroupingKey !== mapContext.regionGroupings[0].key) params.set('regions', regionGroupingKey);
+  if (showRegionMap) params.set('regionmap', '1');
+  if (modelMapView) params.set('modelmap', modelMapView);
+  if (residualTab) params.set('residual', residualTab);
+  if (showStabilityMap) params.set('stability', '1');
+  if (changeYears) params.set('change', `${changeYears.from}:${changeYears.to}`);
+  return params;
+}
+
+
+// Write the current view state to the URL hash so the page can be shared or reloaded as it is
+function updateUrlState() {
+  if (urlStateRestoring || !mapContext) return;
+  const next = viewStateParams();
+  // Commas and colons are safe in a hash, so keep them readable
+  const query = next.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+  const hash = query ? `#${query}` : '';
+  if (hash === window.location.hash) return;
+
+  const current = new URLSearchParams(window.location.hash.slice(1));
+  const selectionChanged = URL_SELECTION_KEYS.some(key => next.get(key) !== current.get(key));
+  const url = window.location.pathname + window.location.search + hash;
+  if (selectionChanged) history.pushState(null, '', url);
+  else history.replaceState(null, '', url);
+}
+
+
+// Restore the view state from the URL hash on load. Back/forward only restores the selection and keeps the current
+// settings, rewriting the entry to match. Unknown counties and fields are ignored.
+function applyUrlState({ selectionOnly = false } = {}) {
+  if (!mapContext) return;
+  urlStateRestoring = true;
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  const { rows } = mapContext;
+  const rowByFips = new Map(rows.map(d => [d.CountyFIPS, d]));
+  const namesFor = key => (params.get(key) || '').split(',').map(f => rowByFips.get(f)).filter(Boolean).map(d => d.CountyName);
+  if (!selectionOnly) applyUrlSettings(params);
+
+  // Selections
+  const mode = ['individual', 'cluster', 'compare'].includes(params.get('mode')) ? params.get('mode') : 'individual';
+  const [selectedName] = namesFor('county');
+  store.set({
+    selectionMode: mode,
+    isBrushing: false,
+    selectedCountyName: selectedName || null,
+    brushedCountyNames: new Set(namesFor('brushed')),
+    pinnedCountyNames: namesFor('pins').slice(0, MAX_PINNED)
+  });
+  refreshScatters();
+  // The settings can switch the year, so look the county up in the rows now on screen
+  const selectedRow = mapContext.rows.find(d => d.CountyName === store.get('selectedCountyName'));
+  if (selectedRow) updateCountyDetails(selectedRow);
+  else resetCountyDetails();
+  updateSelectionSummary();
+
+  urlStateRestoring = false;
+  if (selectionOnly) updateUrlState();
+}
+
+
+// Restore the panels, Needs Index, map settings and model from URL hash parameters, then redraw the map
+function applyUrlSettings(params) {
+  // Release year first, since everything after it works on that year's rows
+  if (datasetYears) {
+    const year = datasetYears.has(params.get('year')) ? params.get('year') : defaultYear(datasetYears);
+    if (year !== currentYear) useYearRows(year);
+    updateYearControls();
+  }
+  const { rows } = mapContext;
+  const hasOption = (id, value) => [...(document.getElementById(id)?.options || [])].some(o => o.value === value);
+
+  // Sidebar panel
+  const panelTab = document.getElementById(`tab-${params.get('panel') === 'formula' ? 'formula' : 'graphs'}`);
+  if (panelTab) panelTab.click();
+  brushShape = params.get('brush') === 'lasso' ? 'lasso' : 'rect';
+  document.getElementById('brush-shape').value = brushShape;
+
+  // Needs Index formula, e.g. needs=depression:25:higher,income:0:lower,col-Secondary:10:higher&norm=zscore&winsor=1.
+  // "col-" keys are columns added in the formula panel.
+  if (params.has('needs')) {
+    applyNeedsFormula({
+      normalization: params.get('norm'),
+      winsorize: params.get('winsor') === '1',
+      components: params.get('needs').split(',').map(part => {
+        const [key, weight, direction] = part.split(':');
+        return { key, weight: +weight, direction };
+      })
+    });
+  } else if (needsWeights) {
+    rows.forEach(d => { delete d.NeedsIndex; });
+    needsWeights = null;
+  }
+
+  // Rank stability analysis, e.g. sensitivity=around:500:10. The sampler is seeded, so rerunning it reproduces the shared result.
+  if (params.has('sensitivity')) {
+    const [mode, samples, topN] = params.get('sensitivity').split(':');
+    document.getElementById('sensitivity-mode').value = mode === 'simplex' ? 'simplex' : 'around';
+    document.getElementById('sensitivity-samples').value = samples;
+    document.getElementById('sensitivity-top').value = topN;
+    runNeedsSensitivity();
+  }
+
+  // Map display settings
+  showUncertainHatch = params.has('hatch');
+  if (showUncertainHatch && !isNaN(parseFloat(params.get('hatch')))) uncertainCIThreshold = parseFloat(params.get('hatch'));
+  document.getElementById('toggle-uncertain-hatch').checked = showUncertainHatch;
+  document.getElementById('uncertain-threshold').value = uncertainCIThreshold ?? '';
+  showRegressionFit = params.get('fit') === '1';
+  weightFitByPopulation = params.get('weighted') === '1';
+  document.getElementById('toggle-fit').checked = showRegressionFit;
+  document.getElementById('toggle-fit-weighted').checked = weightFitByPopulation;
+  sizeScatterByPopulation = params.get('sized') === '1';
+  document.getElementById('toggle-size-population').checked = sizeScatterByPopulation;
+  showAffectedSymbols = params.get('symbols') === '1' && hasAffectedCounts();
+  document.getElementById('toggle-affected-symbols').checked = showAffectedSymbols;
+  const method = params.get('classes');
+  const palette = params.get('palette');
+  mapClassing = {
+    method: CLASSING_METHODS[method] ? method : 'continuous',
+    classes: Math.min(9, Math.max(3, +params.get('k') || 5)),
+    palette: MAP_PALETTES[palette] ? palette : 'default'
+  };
+  document.getElementById('classing-method').value = mapClassing.method;
+  document.getElementById('classing-count').value = mapClassing.classes;
+  document.getElementById('classing-count').disabled = mapClassing.method === 'continuous';
+  document.getElementById('classing-palette').value = mapClassing.palette;
+  const layout = MAP_LAYOUTS[params.get('layout')] ? params.get('layout') : 'geographic';
+  if (layout !== mapLayout) {
+    mapLayout = layout;
+    mapContext.path = layoutPath(mapLayout);
+    mapSvg.call(mapZoom.transform, d3.zoomIdentity);
+  }
+  document.getElementById('map-layout').value = mapLayout;
+
+  // Model predictors
+  const modelKeys = params.has('model') ? params.get('model').split(',') : modelPredictors.filter(p => p.checked).map(p => p.key);
+  modelPredictorKeys = modelPredictors.filter(p => modelKeys.includes(p.key)).map(p => p.key);
+  d3.select('#model-predictors').selectAll('input').property('checked', p => modelPredictorKeys.includes(p.key));
+
+  // Region grouping
+  const grouping = mapContext.regionGroupings.find(g => g.key === params.get('regions')) || mapContext.regionGroupings[0];
+  regionGroupingKey = grouping.key;
+  setupRegionButtons();
+
+  // At most one map overlay is active
+  clearMapOverlays();
+  const [bx, by] = (params.get('bivariate') || '').split(',');
+  if (countyMetrics.some(m => m.field === bx) && countyMetrics.some(m => m.field === by)) {
+    bivariateFields = { x: bx, y: by };
+    document.getElementById('toggle-bivariate').checked = true;
+    document.getElementById('bivariate-x').value = bx;
+    document.getElementById('bivariate-y').value = by;
+  } else if (hasOption('lisa-field', params.get('lisa'))) {
+    lisaField = params.get('lisa');
+    document.getElementById('toggle-lisa').checked = true;
+    document.getElementById('lisa-field').value = lisaField;
+  } else if (params.get('regionmap') === '1') {
+    showRegionMap = true;
+    document.getElementById('toggle-region-map').checked = true;
+  } else if (hasOption('model-map-view', params.get('modelmap'))) {
+    modelMapView = params.get('modelmap');
+    document.getElementById('model-map-view').value = modelMapView;
+  } else if (hasOption('residual-field', params.get('residual'))) {
+    residualTab = params.get('residual');
+    document.getElementById('residual-field').value = residualTab;
+  } else if (params.get('stability') === '1' && needsSensitivity) {
+    showStabilityMap = true;
+    document.getElementById('toggle-stability-map').checked = true;
+  } else if (datasetYears && params.has('change')) {
+    const [from, to] = params.get('change').split(':');
+    if (datasetYears.has(from) && datasetYears.has(to) && from !== to) {
+      changeYears = { from, to };
+      document.getElementById('toggle-change').checked = true;
+      document.getElementById('change-from').value = from;
+      document.getElementById('change-to').value = to;
+    }
+  }
+  updateModelPanel();
+  redrawCurrentMap();
+}
+
+
+// Build the export menu: the selected counties as CSV, and the map and each scatterplot as SVG or PNG
+function setupExportControls() {
+  const menu = document.getElementById('export-menu');
+  const reportButton = document.getElementById('county-report');
+  if (!menu || !reportButton) return;
+
+  const charts = [
+    { key: 'map', label: 'Map' },
+    ...Object.entries(scatterConfigs).map(([key, config]) => ({ key, label: `${config.shortLabel} scatterplot` }))
+  ];
+  const options = [
+    { value: '', label: 'Export…' },
+    { value: 'csv', label: 'Selected counties (CSV)' },
+    ...charts.flatMap(c => [
+      { value: `${c.key}:svg`, label: `${c.label} (SVG)` },
+      { value: `${c.key}:png`, label: `${c.label} (PNG)` }
+    ])
+  ];
+  d3.select(menu).selectAll('option')
+    .data(options)
+    .join('option')
+    .attr('value', d => d.value)
+    .text(d => d.label);
+
+  menu.addEventListener('change', () => {
+    const choice = menu.value;
+    menu.value = '';
+    if (!choice || !mapContext) return;
+    if (choice === 'csv') {
+      exportCountiesCsv();
+      return;
+    }
+    const [chart, type] = choice.split(':');
+    const svg = chart === 'map' ? exportableMapSvg() : exportableScatterSvg(chart);
+    const filename = `${fileSlug(manifest.title)}-${chart}.${type}`;
+    if (type === 'svg') downloadBlob(new Blob([serializeSvg(svg)], { type: 'image/svg+xml' }), filename);
+    else downloadSvgAsPng(svg, filename);
+  });
+
+  reportButton.addEventListener('click', openCountyReport);
+}
+
+
+// Lowercase, dash-separated version of a title for download file names
+function fileSlug(text) {
+  return String(text || 'counties').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+
+// Save a Blob through a temporary download link
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+
+// Counties the current selection covers: pinned counties in compare mode, else the brushed cluster, else the selected county.
+// With nothing selected this is every county.
+function selectedCountyRows() {
+  const { rows } = mapContext;
+  const names = selectedNameSet();
+  return names.size ? rows.filter(d => names.has(d.CountyName)) : rows;
+}
+
+
+// Download the selected counties with every metric, 95% CI bounds and the computed Needs Index
+function exportCountiesCsv() {
+  const rows = selectedCountyRows();
+  const columns = [
+    { label: 'County', value: d => d.CountyName },
+    { label: 'FIPS', value: d => d.CountyFIPS },
+    ...countyMetrics.flatMap(m => [
+      { label: m.label, value: d => d[m.field] },
+      ...(m.ci ? [
+        { label: `${m.label} 95% CI low`, value: d => d[m.ci[0]] },
+        { label: `${m.label} 95% CI high`, value: d => d[m.ci[1]] }
+      ] : [])
+    ]),
+    { label: 'Land area (sq mi)', value: d => d.AreaSqMi && +d.AreaSqMi.toFixed(1) },
+    { label: 'Population density (per sq mi)', value: d => d.PopDensity && +d.PopDensity.toFixed(1) }
+  ];
+  // Blank cells rather than "NaN" or "undefined" for missing values
+  const cell = v => (v == null || (typeof v === 'number' && isNaN(v))) ? '' : v;
+  const csv = d3.csvFormatRows([
+    columns.map(c => c.label),
+    ...rows.map(d => columns.map(c => cell(c.value(d))))
+  ]);
+  const which = rows.length === mapContext.rows.length ? 'all-counties' : 'selected-counties';
+  downloadBlob(new Blob([csv], { type: 'text/csv' }), `${fileSlug(manifest.title)}-${which}.csv`);
+}
+
+
+// Standalone copy of a chart SVG with an optional title above it and a legend SVG and caption lines below it.
+// The copy sets its own size, font and white background so it looks the same outside the page.
+function composeExportSvg(chart, { title, legend, caption = [] } = {}) {
+  const viewBox = el => el.getAttribute('viewBox').split(/[\s,]+/).map(Number);
+  const [, , width, height] = viewBox(chart);
+  const titleHeight = title ? 30 : 0;
+  const legendBox = legend && legend.getAttribute('viewBox') ? viewBox(legend) : null;
+  const legendHeight = legendBox ? legendBox[3] : 0;
+  const lineHeight = 14;
+  const totalHeight = titleHeight + height + legendHeight + caption.length * lineHeight + (caption.length ? 8 : 0);
+
+  const out = d3.create('svg')
+    .attr('xmlns', 'http://www.w3.org/2000/svg')
+    .attr('width', width)
+    .attr('height', totalHeight)
+    .attr('viewBox', `0 0 ${width} ${totalHeight}`)
+    .attr('font-family', 'system-ui, -apple-system, BlinkMacSystemFont, sans-serif');
+  out.append('rect')
+    .attr('width', width)
+    .attr('height', totalHeight)
+    .attr('fill', 'white');
+  if (title) {
+    out.append('text')
+      .attr('x', width / 2)
+      .attr('y', 20)
+      .attr('text-anchor', 'middle')
+      .attr('font-size', 16)
+      .attr('font-weight', 'bold')
+      .text(title);
+  }
+
+  // Nested copies keep their own viewBox; on-page sizing, ids and the brush overlay don't carry over
+  const place = (el, x, y, w, h) => {
+    const copy = el.cloneNode(true);
+    ['id', 'style', 'class'].forEach(attr => copy.removeAttribute(attr));
+    copy.querySelectorAll('.brush').forEach(b => b.remove());
+    copy.setAttribute('x', x);
+    copy.setAttribute('y', y);
+    copy.setAttribute('width', w);
+    copy.setAttribute('height', h);
+    out.node().appendChild(copy);
+  };
+  place(chart, 0, titleHeight, width, height);
+  if (legendBox) place(legend, (width - legendBox[2]) / 2, titleHeight + height, legendBox[2], legendBox[3]);
+
+  caption.forEach((line, i) => {
+    out.append('text')
+      .attr('x', 8)
+      .attr('y', titleHeight + height + legendHeight + (i + 1) * lineHeight)
+      .attr('font-size', 11)
+      .attr('fill', '#555')
+      .text(line);
+  });
+  return out.node();
+}
+
+
+// The map with its legend, title and data source
+function exportableMapSvg() {
+  const title = document.getElementById('map-title-text').textContent;
+  const legend = document.querySelector('#map-legend svg');
+  return composeExportSvg(mapSvg.node(), {
+    title,
+    legend,
+    caption: [`Data: ${dataSource.csv.split('/').pop()}. Exported ${new Date().toLocaleDateString()}.`]
+  });
+}
+
+
+// One scatterplot with its correlation and fit statistics underneath, split over two lines to fit the chart width
+function exportableScatterSvg(key) {
+  const svg = scatterSvgs[key].node();
+  const stats = d3.select(svg.parentNode).select('.scatter-stats');
+  const parts = stats.empty() ? [] : stats.text().split(' · ');
+  const caption = parts.length ? [parts.slice(0, 3).join(' · '), parts.slice(3).join(' · ')] : [];
+  return composeExportSvg(svg, { title: `${outcomeTitle()} vs ${scatterConfigs[key].shortLabel}`, caption });
+}
+
+
+function serializeSvg(svg) {
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(svg);
+}
+
+
+// Render an exported SVG onto a canvas at twice its size and download it as PNG
+function downloadSvgAsPng(svg, filename, scale = 2) {
+  const width = +svg.getAttribute('width');
+  const height = +svg.getAttribute('height');
+  const url = URL.createObjectURL(new Blob([serializeSvg(svg)], { type: 'image/svg+xml' }));
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.drawImage(img, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => downloadBlob(blob, filename), 'image/png');
+  };
+  img.src = url;
+}
+
+
+// Open a print-friendly report for the selected county, or each pinned county in compare mode,
+// with the county details, state ranks and the current map
+function openCountyReport() {
+  const status = document.getElementById('export-status');
+  if (!mapContext) return;
+  const { rows } = mapContext;
+  const { selectionMode, selectedCountyName, pinnedCountyNames } = store.get();
+  const names = selectionMode === 'compare' ? pinnedCountyNames : selectedCountyName ? [selectedCountyName] : [];
+  const counties = names.map(n => rows.find(d => d.CountyName === n)).filter(Boolean);
+  if (!counties.length) {
+    if (status) status.textContent = 'Select a county (or pin counties in compare mode) first.';
+    return;
+  }
+  if (status) status.textContent = '';
+
+  const { outcome } = manifest;
+  const cellStyle = 'padding:6px 8px; border-bottom:1px solid #ddd; vertical-align:top;';
+  const countySection = row => {
+    const metricRows = countyMetrics.map(m => {
+      const v = row[m.field];
+      const has = v != null && !isNaN(v);
+      const r = has ? rankInState(rows, m.field, v) : null;
+      return `<tr>
+        <td style="${cellStyle}"><strong>${escapeHtml(m.label)}</strong>${m.description ? `<br/><span style="color:#666; font-size:12px;">${escapeHtml(m.description)}</span>` : ''}</td>
+        <td style="${cellStyle} text-align:right;">${has ? m.format(v) : 'N/A'}</td>
+        <td style="${cellStyle} text-align:right;">${m.ci && has ? formatCI(row[m.ci[0]], row[m.ci[1]], m.ciFormat) : ''}</td>
+        <td style="${cellStyle} text-align:right;">${r ? `#${r.rank} of ${r.total}` : ''}</td>
+      </tr>`;
+    }).join('');
+    return `
+      <section style="page-break-inside:avoid; margin-top:24px;">
+        <h2 style="margin:0 0 8px 0;">${escapeHtml(row.CountyName)} County</h2>
+        <table style="width:100%; border-collapse:collapse; font-size:14px;">
+          <thead><tr>
+            <th style="${cellStyle} text-align:left;">Measure</th>
+            <th style="${cellStyle} text-align:right;">Value</th>
+            <th style="${cellStyle} text-align:right;">95% CI</th>
+            <th style="${cellStyle} text-align:right;">Rank in state</th>
+          </tr></thead>
+          <tbody>${metricRows}</tbody>
+        </table>
+        <p style="font-size:14px;"><strong>${escapeHtml(outcome.label)} interval overlap:</strong> ${describeCIOverlap(row)}.
+          Counties whose 95% confidence intervals overlap cannot be reliably ranked against each other.</p>
+      </section>`;
+  };
+  const weightsText = needsWeights
+    ? needsComponentList.filter(c => needsWeights[c.key] > 0).map(c => `${escapeHtml(c.shortLabel)} ${needsWeights[c.key]}`).join(', ')
+    : null;
+
+  const report = window.open('', '_blank');
+  if (!report) {
+    if (status) status.textContent = 'Allow pop-ups for this page to open the report.';
+    return;
+  }
+  report.document.write(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(counties.map(d => d.CountyName).join(', '))} County report</title>
+  <style>
+    body { font-family: system-ui, -apple-system, BlinkMacSystemFont, sans-serif; color:#222; max-width:800px; margin:24px auto; padding:0 16px; }
+    svg { max-width:100%; height:auto; }
+    @media print { .no-print { display:none; } body { margin:0; } }
+  </style>
+</head>
+<body>
+  <button class="no-print" onclick="window.print()" style="float:right; padding:6px 12px;">Print</button>
+  <h1 style="margin:0 0 4px 0;">${escapeHtml(manifest.title)}</h1>
+  <p style="margin:0; color:#555;">County report · ${new Date().toLocaleDateString()} · Data: ${escapeHtml(dataSource.csv.split('/').pop())}</p>
+  ${counties.map(countySection).join('')}
+  <p style="font-size:13px; color:#555;">Rank #1 is the highest value in the state.${weightsText ? ` Needs index weights: ${weightsText}.` : ' The Needs Index had not been applied when this report was made.'}</p>
+  <div style="page-break-before:always; margin-top:24px;">${new XMLSerializer().serializeToString(exportableMapSvg())}</div>
+</body>
+</html>`);
+  report.document.close();
+}
+
+
+// Set up the two tab views in the sidebar and style their intial state
+function setupSidebarTabs() {
+  const tabFormula = document.getElementById('tab-formula');
+  const tabGraphs = document.getElementById('tab-graphs');
+  const panelFormula = document.getElementById('panel-formula');
+  const panelGraphs = document.getElementById('panel-graphs');
+  if (!tabFormula || !tabGraphs || !panelFormula || !panelGraphs) return;
+
+  function showFormula() {
+    sidebarPanel = 'formula';
+    panelFormula.style.display = null;
+    panelGraphs.style.display = 'none';
+    tabFormula.classList.add('active');
+    tabGraphs.classList.remove('active');
+  }
+
+  function showGraphs() {
+    sidebarPanel = 'graphs';
+    panelFormula.style.display = 'none';
+    panelGraphs.style.display = null;
+    tabGraphs.classList.add('active');
+    tabFormula.classList.remove('active');
+  }
+
+  tabFormula.addEventListener('click', () => { showFormula(); updateUrlState(); });
+  tabGraphs.addEventListener('click', () => { showGraphs(); updateUrlState(); });
+
+  // Graphs show as default
+  showGraphs();
+}
+
+// The formula panel's normalization and winsorizing, as the Needs Index scoring takes them
+function needsSettings() {
+  return { normalization: needsNormalization, winsorize: needsWinsorize };
+}
+
+// The manifest's default components
+function defaultNeedsComponents() {
+  return [manifest.outcome, ...manifest.predictors]
+    .filter(c => c.needDirection)
+    .map(c => ({
+      key: c.key,
+      field: c === manifest.outcome ? 'Outcome' : c.column,
+      label: c.label,
+      shortLabel: c.shortLabel || c.label,
+      direction: c.needDirection,
+      value: c === manifest.outcome ? (d => d.Outcome) : (d => d[c.column])
+    }));
+}
+
+// Numeric columns that can be added as Needs Index components: the derived county fields, the predictors and any
+// other CSV column whose values are all numbers. Keys start with "col-" so they can't collide with manifest keys.
+function needsColumnOptions() {
+  const { outcome, secondaryOutcome, predictors } = manifest;
+  const options = [
+    { field: 'Outcome', label: outcome.label },
+    ...(secondaryOutcome ? [{ field: 'Secondary', label: secondaryOutcome.label }] : []),
+    { field: 'OutcomeCIWidth', label: `${outcome.label} 95% CI width` },
+    { field: 'TotalPopulation', label: 'Total population' },
+    { field: 'TotalPop18plus', label: 'Adult population (18+)' },
+    { field: 'PopDensity', label: 'Population density' },
+    { field: 'AreaSqMi', label: 'Land area' },
+    ...predictors.map(p => ({ field: p.column, label: p.label }))
+  ];
+  if (mapContext && mapContext.rows.columns) {
+    const used = new Set([manifest.nameColumn, manifest.join.column, manifest.populationColumn, manifest.adultPopulationColumn,
+      outcome.column, outcome.ciColumn, ...(secondaryOutcome ? [secondaryOutcome.column, secondaryOutcome.ciColumn] : []),
+      ...predictors.map(p => p.column)]);
+    mapContext.rows.columns
+      .filter(col => !used.has(col))
+      .filter(col => mapContext.rows.every(d => d[col] == null || d[col] === '' || !isNaN(+d[col])) && mapContext.rows.some(d => d[col] !== '' && d[col] != null))
+      .forEach(col => options.push({ field: col, label: col }));
+  }
+  return options.map(o => ({
+    key: `col-${o.field.replace(/[^A-Za-z0-9_-]/g, '_')}`,
+    field: o.field,
+    label: o.label,
+    shortLabel: o.label,
+    direction: 'higher',
+    added: true,
+    // Blank cells are missing values, not zeros
+    value: d => d[o.field] === '' || d[o.field] == null ? NaN : +d[o.field]
+  }));
+}
+
+// Build a row per Needs Index component in the formula tab: include checkbox, direction, weight slider and,
+// for added columns, a remove button. Rows are keyed by component, so existing inputs keep their values.
+function buildNeedsIndexInputs() {
+  const varsBox = d3.select('#needs-index-vars');
+  if (varsBox.empty()) return;
+  const components = needsComponentList;
+
+  varsBox.selectAll('div.needs-component')
+    .data(components, c => c.key)
+    .join(enter => {
+      const row = enter.append('div')
+        .attr('class', 'needs-component')
+        .style('display', 'flex')
+        .style('flex-wrap', 'wrap')
+        .style('align-items', 'center')
+        .style('gap', '6px')
+        .style('font-size', '12px');
+      row.append('label')
+        .style('flex', '1 1 100%')
+        .html(c => `<input type="checkbox" id="var-${escapeHtml(c.key)}" checked> ${escapeHtml(c.label)}`);
+      row.append('select')
+        .attr('id', c => `dir-${c.key}`)
+        .html('<option value="higher">higher = more need</option><option value="lower">higher = less need</option>')
+        .property('value', c => c.direction);
+      row.append('label')
+        .html(c => `Weight: <input id="w-${escapeHtml(c.key)}" type="range" min="0" max="100" value="25" style="vertical-align:middle;">`);
+      row.filter(c => c.added).append('button')
+        .attr('type', 'button')
+        .attr('class', 'needs-remove')
+        .attr('title', 'Remove this component')
+        .style('padding', '0 6px')
+        .style('border', '1px solid #ccc')
+        .style('background', 'white')
+        .style('cursor', 'pointer')
+        .text('×');
+      return row;
+    });
+
+  // Columns not yet in the formula can be added
+  const addSelect = d3.select('#needs-add-field');
+  if (!addSelect.empty()) {
+    const inUse = new Set(components.map(c => c.field));
+    addSelect.selectAll('option')
+      .data(needsColumnOptions().filter(o => !inUse.has(o.field)), o => o.key)
+      .join('option')
+      .attr('value', o => o.key)
+      .text(o => o.label);
+  }
+}
+
+// The Needs Index recomputes as soon as any formula input changes. "Show Needs Index on map" switches the map back to
+// it from another view.
+function setupNeedsIndexControls() {
+  const content = document.getElementById('needs-index-content');
+  const apply = document.getElementById('apply-needs');
+  const reset = document.getElementById('reset-needs');
+  const normalization = document.getElementById('needs-normalization');
+  const winsorize = document.getElementById('needs-winsorize');
+  const add = document.getElementById('needs-add');
+  if (!content || !apply || !reset) return;
+
+  d3.select(normalization).selectAll('option')
+    .data(Object.entries(NEEDS_NORMALIZATIONS))
+    .join('option')
+    .attr('value', d => d[0])
+    .text(d => d[1]);
+  normalization.value = needsNormalization;
+  winsorize.checked = needsWinsorize;
+
+  function recompute() {
+    if (!mapContext) return;
+    setNeedsWeights(needsSliderWeights());
+    clearMapOverlays();
+    drawBaseMap();
+  }
+
+  // Sliders redraw while dragging; the URL is only written once the change is made
+  content.addEventListener('input', event => {
+    const target = event.target;
+    if (target === normalization) needsNormalization = normalization.value;
+    else if (target === winsorize) needsWinsorize = winsorize.checked;
+    else if (target.id && target.id.startsWith('dir-')) {
+      const component = needsComponentList.find(c => `dir-${c.key}` === target.id);
+      if (component) component.direction = target.value;
+    } else if (target.id === 'needs-add-field') return;
+    recompute();
+  });
+  content.addEventListener('change', event => {
+    if (event.target.id !== 'needs-add-field') updateUrlState();
+  });
+
+  add.addEventListener('click', () => {
+    const option = needsColumnOptions().find(o => o.key === document.getElementById('needs-add-field').value);
+    if (!option) return;
+    needsComponentList = [...needsComponentList, option];
+    buildNeedsIndexInputs();
+    recompute();
+    updateUrlState();
+  });
+  content.addEventListener('click', event => {
+    if (!event.target.classList.contains('needs-remove')) return;
+    const key = d3.select(event.target.parentNode).datum().key;
+    needsComponentList = needsComponentList.filter(c => c.key !== key);
+    buildNeedsIndexInputs();
+    recompute();
+    updateUrlState();
+  });
+
+  apply.addEventListener('click', () => {
+    recompute();
+    updateUrlState();
+  });
+
+  // Reset button goes back to the manifest's components, min-max normalization and equal weights
+  reset.addEventListener('click', () => {
+    needsNormalization = 'minmax';
+    needsWinsorize = false;
+    normalization.value = needsNormalization;
+    winsorize.checked = false;
+    needsComponentList = defaultNeedsComponents();
+    d3.select('#needs-index-vars').selectAll('*').remove();
+    buildNeedsIndexInputs();
+    if (!mapContext) return;
+    const weights = {};
+    needsComponentList.forEach(c => {
+      weights[c.key] = 25;
+    });
+    setNeedsWeights(weights);
+    clearMapOverlays();
+    drawBaseMap();
+    updateUrlState();
+  });
+}
+
+
+// The formula panel as a plain object: normalization, winsorizing and each component's key, weight and direction.
+// Presets, the URL and imported files all use this shape.
+function currentNeedsFormula() {
+  const weights = needsSliderWeights();
+  return {
+    normalization: needsNormalization,
+    winsorize: needsWinsorize,
+    components: needsComponentList.map(c => ({ key: c.key, weight: weights[c.key], direction: c.direction }))
+  };
+}
+
+// Components a formula describes: every manifest component plus the formula's added columns, with its directions.
+// Keys this dataset doesn't have are skipped.
+function needsFormulaComponents(formula) {
+  const defaults = defaultNeedsComponents();
+  const options = needsColumnOptions();
+  const given = formula.components || [];
+  const components = [
+    ...defaults,
+    ...given.map(g => options.find(o => o.key === g.key)).filter(o => o && !defaults.some(c => c.field === o.field))
+  ];
+  components.forEach(c => {
+    const g = given.find(item => item.key === c.key);
+    if (g && (g.direction === 'higher' || g.direction === 'lower')) c.direction = g.direction;
+  });
+  return components;
+}
+
+// Weights keyed by component, 0 for components the formula leaves out
+function needsFormulaWeights(formula, components) {
+  const weights = {};
+  components.forEach(c => {
+    const g = (formula.components || []).find(item => item.key === c.key);
+    weights[c.key] = g ? Math.max(0, +g.weight || 0) : 0;
+  });
+  return weights;
+}
+
+// Load a formula into the formula panel and compute the Needs Index from it
+function applyNeedsFormula(formula) {
+  needsNormalization = NEEDS_NORMALIZATIONS[formula.normalization] ? formula.normalization : 'minmax';
+  needsWinsorize = !!formula.winsorize;
+  document.getElementById('needs-normalization').value = needsNormalization;
+  document.getElementById('needs-winsorize').checked = needsWinsorize;
+  needsComponentList = needsFormulaComponents(formula);
+  d3.select('#needs-index-vars').selectAll('*').remove();
+  buildNeedsIndexInputs();
+  setNeedsWeights(needsFormulaWeights(formula, needsComponentList));
+}
+
+
+// Saved Needs Index formulas live in localStorage per dataset manifest. Saving under a name that already exists adds
+// a new version, so earlier versions stay available.
+function needsPresetsStorageKey() {
+  return `needs-index-presets:${datasetUrl}`;
+}
+
+function loadNeedsPresets() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(needsPresetsStorageKey()) || '[]');
+    return Array.isArray(stored) ? stored.filter(isNeedsPreset) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function storeNeedsPresets(presets) {
+  try {
+    localStorage.setItem(needsPresetsStorageKey(), JSON.stringify(presets));
+    return true;
+  } catch (e) {
+    // Storage can be full or disabled (e.g. private browsing); the presets still work until the page reloads
+    return false;
+  }
+}
+
+function isNeedsPreset(p) {
+  return p && typeof p.name === 'string' && p.name.trim() && p.formula && Array.isArray(p.formula.components);
+}
+
+// Label a preset for the dropdowns, e.g. "Rural focus v2 (3/4/2026)"
+function needsPresetLabel(p) {
+  return `${p.name} v${p.version}${p.savedAt ? ` (${new Date(p.savedAt).toLocaleDateString()})` : ''}`;
+}
+
+// Add a preset as the next version of its name
+function addNeedsPreset(presets, name, formula, savedAt = new Date().toISOString()) {
+  const version = d3.max(presets.filter(p => p.name === name), p => p.version) + 1 || 1;
+  return [...presets, { name, version, savedAt, formula }];
+}
+
+
+// Save, load, delete, import and export Needs Index presets, and compare two formulas' rankings
+function setupNeedsPresets() {
+  const nameInput = document.getElementById('preset-name');
+  const list = document.getElementById('preset-list');
+  const status = document.getElementById('preset-status');
+  const fileInput = document.getElementById('preset-file');
+  if (!nameInput || !list || !status || !fileInput) return;
+  let presets = loadNeedsPresets();
+
+  function refresh(selectedId) {
+    // Newest version of each name first
+    const sorted = presets.slice().sort((a, b) => d3.ascending(a.name.toLowerCase(), b.name.toLowerCase()) || b.version - a.version);
+    const id = p => `${p.name}@${p.version}`;
+    d3.select(list).selectAll('option')
+      .data(sorted, id)
+      .join('option')
+      .attr('value', id)
+      .text(needsPresetLabel);
+    if (selectedId) list.value = selectedId;
+    // Either side of the comparison can also be the formula currently in the panel
+    ['preset-diff-a', 'preset-diff-b'].forEach((selectId, i) => {
+      const select = document.getElementById(selectId);
+      const previous = select.value;
+      d3.select(select).selectAll('option')
+        .data([{ id: 'current', label: 'Current formula' }, ...sorted.map(p => ({ id: id(p), label: needsPresetLabel(p) }))], d => d.id)
+        .join('option')
+        .attr('value', d => d.id)
+        .text(d => d.label);
+      // B defaults to the newest preset so the first comparison isn't the current formula against itself
+      const keep = [...select.options].some(o => o.value === previous) && !(i === 1 && previous === 'current');
+      select.value = keep ? previous : i === 1 && sorted.length ? id(sorted[0]) : 'current';
+    });
+  }
+  const findPreset = value => presets.find(p => `${p.name}@${p.version}` === value);
+  function save() {
+    status.textContent = storeNeedsPresets(presets) ? '' : "Couldn't save to browser storage; presets will be lost on reload.";
+  }
+
+  document.getElementById('preset-save').addEventListener('click', () => {
+    const name = nameInput.value.trim();
+    if (!name) {
+      status.textContent = 'Enter a name for the formula first.';
+      return;
+    }
+    presets = addNeedsPreset(presets, name, currentNeedsFormula());
+    save();
+    const saved = presets[presets.length - 1];
+    refresh(`${saved.name}@${saved.version}`);
+    if (!status.textContent) status.textContent = `Saved ${needsPresetLabel(saved)}.`;
+  });
+
+  document.getElementById('preset-load').addEventListener('click', () => {
+    const preset = findPreset(list.value);
+    if (!preset || !mapContext) return;
+    applyNeedsFormula(preset.formula);
+    nameInput.value = preset.name;
+    clearMapOverlays();
+    drawBaseMap();
+    updateUrlState();
+    status.textContent = `Loaded ${needsPresetLabel(preset)}.`;
+  });
+
+  document.getElementById('preset-delete').addEventListener('click', () => {
+    const preset = findPreset(list.value);
+    if (!preset) return;
+    presets = presets.filter(p => p !== preset);
+    save();
+    refresh();
+    if (!status.textContent) status.textContent = `Deleted ${needsPresetLabel(preset)}.`;
+  });
+
+  document.getElementById('preset-export').addEventListener('click', () => {
+    const file = { type: 'needs-index-presets', schemaVersion: 1, dataset: manifest.title, exportedAt: new Date().toISOString(), presets };
+    downloadBlob(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }), `${fileSlug(manifest.title)}-needs-presets.json`);
+  });
+
+  document.getElementById('preset-import').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+    file.text().then(text => {
+      // Accept an exported file, a bare array of presets or a single preset
+      const json = JSON.parse(text);
+      const incoming = (Array.isArray(json) ? json : Array.isArray(json.presets) ? json.presets : [json]).filter(isNeedsPreset);
+      if (!incoming.length) throw new Error('no presets found');
+      let added = 0;
+      incoming.forEach(p => {
+        const same = presets.some(q => q.name === p.name && JSON.stringify(q.formula) === JSON.stringify(p.formula));
+        if (same) return;
+        presets = addNeedsPreset(presets, p.name.trim(), p.formula, p.savedAt);
+        added++;
+      });
+      save();
+      refresh();
+      if (!status.textContent) status.textContent = `Imported ${added} preset${added === 1 ? '' : 's'}${added < incoming.length ? ` (${incoming.length - added} already saved)` : ''}.`;
+    }).catch(err => {
+      status.textContent = `Couldn't import ${file.name}: ${err.message}.`;
+    });
+  });
+
+  document.getElementById('preset-diff').addEventListener('click', () => {
+    const formulaFor = value => value === 'current' ? { label: 'Current formula', formula: currentNeedsFormula() }
+      : findPreset(value) ? { label: needsPresetLabel(findPreset(value)), formula: findPreset(value).formula } : null;
+    const a = formulaFor(document.getElementById('preset-diff-a').value);
+    const b = formulaFor(document.getElementById('preset-diff-b').value);
+    if (a && b) drawNeedsPresetDiff(a, b);
+  });
+
+  refresh();
+}
+
+
+// Needs Index ranks (1 = most need) under a formula, keyed by county name. Counties without a score aren't ranked.
+function needsFormulaRanks(rows, formula) {
+  const components = needsFormulaComponents(formula);
+  const scores = needsIndexScores(rows, components, needsFormulaWeights(formula, components), {
+    normalization: NEEDS_NORMALIZATIONS[formula.normalization] ? formula.normalization : 'minmax',
+    winsorize: !!formula.winsorize
+  });
+  const ranked = rows.map((d, i) => ({ name: d.CountyName, score: scores[i] }))
+    .filter(d => !isNaN(d.score))
+    .sort((x, y) => y.score - x.score);
+  return new Map(ranked.map((d, i) => [d.name, { rank: i + 1, score: d.score }]));
+}
+
+
+// Side-by-side comparison of two formulas: their settings, then every county's rank under each and how far it moves
+function drawNeedsPresetDiff(a, b) {
+  const container = document.getElementById('preset-diff-results');
+  if (!container || !mapContext) return;
+  const { rows } = mapContext;
+  const ranksA = needsFormulaRanks(rows, a.formula);
+  const ranksB = needsFormulaRanks(rows, b.formula);
+  const names = [...ranksA.keys()].filter(n => ranksB.has(n));
+  const topN = 10;
+  const topA = new Set(names.filter(n => ranksA.get(n).rank <= topN));
+  const sharedTop = names.filter(n => topA.has(n) && ranksB.get(n).rank <= topN).length;
+  const rho = spearman(names.map(n => ranksA.get(n).rank), names.map(n => ranksB.get(n).rank));
+
+  // Settings table: normalization, winsorizing and each component's weight and direction, with differences highlighted
+  const settingsRow = (label, va, vb) => `<tr style="border-top:1px solid #eee;${va !== vb ? ' background:#fff7ed;' : ''}">
+    <td style="padding:3px 6px;">${label}</td><td style="padding:3px 6px; text-align:right;">${va}</td><td style="padding:3px 6px; text-align:right;">${vb}</td></tr>`;
+  const componentsA = needsFormulaComponents(a.formula);
+  const componentsB = needsFormulaComponents(b.formula);
+  const weightsA = needsFormulaWeights(a.formula, componentsA);
+  const weightsB = needsFormulaWeights(b.formula, componentsB);
+  const describe = (components, weights, key) => {
+    const c = components.find(item => item.key === key);
+    return c && weights[key] > 0 ? `${weights[key]} (${c.direction === 'lower' ? '−' : '+'})` : '—';
+  };
+  const allComponents = [...componentsA, ...componentsB.filter(c => !componentsA.some(x => x.key === c.key))];
+  const normLabel = f => NEEDS_NORMALIZATIONS[f.normalization] || NEEDS_NORMALIZATIONS.minmax;
+
+  const moveText = n => {
+    const change = ranksA.get(n).rank - ranksB.get(n).rank;
+    if (!change) return '<span style="color:#999;">=</span>';
+    return change > 0 ? `<span style="color:#b91c1c;">▲${change}</span>` : `<span style="color:#15803d;">▼${-change}</span>`;
+  };
+  const rankRows = names
+    .sort((x, y) => ranksA.get(x).rank - ranksA.get(y).rank)
+    .map(n => `<tr style="border-top:1px solid #eee;">
+      <td style="padding:3px 6px;">${escapeHtml(n)}</td>
+      <td style="padding:3px 6px; text-align:right;">#${ranksA.get(n).rank}</td>
+      <td style="padding:3px 6px; text-align:right;">#${ranksB.get(n).rank}</td>
+      <td style="padding:3px 6px; text-align:right;">${moveText(n)}</td>
+    </tr>`).join('');
+
+  container.innerHTML = `
+    <p style="margin:0 0 6px 0; font-size:12px; color:#555;">Spearman ρ between the rankings = ${rho.toFixed(2)}. ${sharedTop} of ${topA.size} counties in the top ${topN} of A are also in the top ${topN} of B.</p>
+    <table style="width:100%; border-collapse:collapse; font-size:12px; margin-bottom:8px;">
+      <thead><tr><th style="text-align:left; padding:3px 6px;">Setting</th><th style="text-align:right; padding:3px 6px;">A: ${escapeHtml(a.label)}</th><th style="text-align:right; padding:3px 6px;">B: ${escapeHtml(b.label)}</th></tr></thead>
+      <tbody>
+        ${settingsRow('Normalization', normLabel(a.formula), normLabel(b.formula))}
+        ${settingsRow('Winsorize', a.formula.winsorize ? 'yes' : 'no', b.formula.winsorize ? 'yes' : 'no')}
+        ${allComponents.map(c => settingsRow(escapeHtml(c.shortLabel), describe(componentsA, weightsA, c.key), describe(componentsB, weightsB, c.key))).join('')}
+      </tbody>
+    </table>
+    <div style="max-height:300px; overflow-y:auto;">
+      <table style="width:100%; border-collapse:collapse; font-size:12px;">
+        <thead><tr><th style="text-align:left; padding:3px 6px;">County</th><th style="text-align:right; padding:3px 6px;">Rank A</th><th style="text-align:right; padding:3px 6px;">Rank B</th><th style="text-align:right; padding:3px 6px;">B vs A</th></tr></thead>
+        <tbody>${rankRows}</tbody>
+      </table>
+    </div>
+    <p style="margin:6px 0 0 0; font-size:11px; color:#888;">Weights show (+) where higher values mean more need and (−) where they mean less. ▲ means the county ranks higher (more need) under B.</p>
+  `;
+}
+
+
+// Gets user input from checkboxes and sliders in the formula tab. Unchecked components weigh 0.
+function needsSliderWeights() {
+  const weights = {};
+  needsComponentList.forEach(c => {
+    const use = document.getElementById(`var-${c.key}`).checked;
+    weights[c.key] = use ? +document.getElementById(`w-${c.key}`).value : 0;
+  });
+  return weights;
+}
+
+
+// Compute the Needs Index from component weights (0 leaves a component out), matching the formula inputs to them
+function setNeedsWeights(weights) {
+  const { rows, colorNeeds } = mapContext;
+  needsWeights = weights;
+  needsComponentList.forEach(c => {
+    document.getElementById(`var-${c.key}`).checked = weights[c.key] > 0;
+    if (weights[c.key] > 0) document.getElementById(`w-${c.key}`).value = weights[c.key];
+    document.getElementById(`dir-${c.key}`).value = c.direction;
+  });
+  computeNeedsIndex(rows, needsComponentList, weights, needsSettings());
+  // Update the color scale domain for Needs Index
+  colorNeeds.domain(d3.extent(rows, d => d.NeedsIndex));
+  updateSelectionSummary();
+}
+
+
+// Recompute Needs Index ranks (1 = most need) under many sampled weightings and summarize each county's rank spread.
+// 'around' scales each current weight by a random factor from 0.5 to 1.5; 'simplex' draws weights uniformly over every mix
+// of all components. The sampler is seeded, so the same settings always give the same result.
+function needsRankSensitivity(rows, weights, { mode = 'around', samples = 500, topN = 10 } = {}) {
+  const components = needsComponentList.filter(c => mode === 'simplex' || weights[c.key] > 0);
+  if (!components.length) return null;
+  const normalized = components.map(c => normalizeNeedsComponent(rows, c, needsSettings()));
+  // Counties missing any component can't be ranked
+  const ranked = d3.range(rows.length).filter(i => normalized.every(values => !isNaN(values[i])));
+  const uniform = d3.randomUniform.source(d3.randomLcg(0.5))(0, 1);
+
+  function ranksFor(w) {
+    const total = d3.sum(w) || 1;
+    const scores = ranked.map(i => d3.sum(components, (c, j) => normalized[j][i] * w[j]) / total);
+    const ranks = new Array(ranked.length);
+    d3.range(ranked.length)
+      .sort((a, b) => scores[b] - scores[a])
+      .forEach((k, position) => { ranks[k] = position + 1; });
+    return ranks;
+  }
+
+  const current = ranksFor(components.map(c => weights[c.key] || 0));
+  const sampled = ranked.map(() => []);
+  for (let s = 0; s < samples; s++) {
+    const w = mode === 'simplex'
+      ? components.map(() => -Math.log(1 - uniform()))
+      : components.map(c => weights[c.key] * (0.5 + uniform()));
+    ranksFor(w).forEach((rank, k) => sampled[k].push(rank));
+  }
+
+  const counties = ranked.map((i, k) => {
+    const ranks = sampled[k].sort(d3.ascending);
+    return {
+      row: rows[i],
+      currentRank: current[k],
+      low: Math.round(d3.quantileSorted(ranks, 0.05)),
+      median: Math.round(d3.quantileSorted(ranks, 0.5)),
+      high: Math.round(d3.quantileSorted(ranks, 0.95)),
+      topShare: ranks.filter(r => r <= topN).length / samples
+    };
+  }).sort((a, b) => a.median - b.median || a.currentRank - b.currentRank);
+
+  return { mode, samples, topN, components, counties, total: ranked.length };
+}
+
+
+// Wire up the rank stability analysis in the formula tab
+function setupSensitivityControls() {
+  const run = document.getElementById('run-sensitivity');
+  const mapToggle = document.getElementById('toggle-stability-map');
+  if (!run || !mapToggle) return;
+
+  run.addEventListener('click', () => {
+    runNeedsSensitivity();
+    if (showStabilityMap) drawStabilityMap();
+    updateUrlState();
+  });
+  mapToggle.addEventListener('change', () => {
+    const on = mapToggle.checked;
+    clearMapOverlays();
+    showStabilityMap = on && !!needsSensitivity;
+    mapToggle.checked = showStabilityMap;
+    if (showStabilityMap) drawStabilityMap();
+    else drawBaseMap();
+    updateUrlState();
+  });
+}
+
+
+// Run the analysis from the sliders and analysis inputs and show the results
+function runNeedsSensitivity() {
+  if (!mapContext) return;
+  const samples = Math.min(5000, Math.max(50, Math.round(+document.getElementById('sensitivity-samples').value) || 500));
+  const topN = Math.max(1, Math.round(+document.getElementById('sensitivity-top').value) || 10);
+  const mode = document.getElementById('sensitivity-mode').value;
+  document.getElementById('sensitivity-samples').value = samples;
+  document.getElementById('sensitivity-top').value = topN;
+  needsSensitivity = needsRankSensitivity(mapContext.rows, needsSliderWeights(), { mode, samples, topN });
+  document.getElementById('toggle-stability-map').disabled = !needsSensitivity;
+  drawSensitivityChart();
+}
+
+
+// Rank-range chart: one row per county, sorted by median rank, with a bar over the middle 90% of sampled ranks,
+// a dot at the median, a red tick at the rank under the current sliders and the share of samples in the top N
+function drawSensitivityChart() {
+  const container = d3.select('#sensitivity-results');
+  container.selectAll('*').remove();
+  if (!needsSensitivity) {
+    container.append('p')
+      .style('margin', '0')
+      .style('font-size', '12px')
+      .style('color', '#555')
+      .text('Check at least one Needs Index component to run the analysis.');
+    return;
+  }
+  const { mode, samples, topN, counties, total } = needsSensitivity;
+  const robust = counties.filter(d => d.currentRank <= topN && d.topShare >= 0.9).length;
+  const currentTop = counties.filter(d => d.currentRank <= topN).length;
+  container.append('p')
+    .style('margin', '0 0 6px 0')
+    .style('font-size', '12px')
+    .style('color', '#555')
+    .html(`${samples} weightings sampled ${mode === 'simplex' ? 'across all mixes of the components' : 'around the current weights'}. ` +
+      `<strong>${robust} of the current top ${currentTop}</strong> stay in the top ${topN} in at least 90% of them. Rank 1 is the most need.`);
+
+  const rowHeight = 14;
+  const margin = { top: 22, right: 44, bottom: 4, left: 96 };
+  const fullWidth = 360;
+  const width = fullWidth - margin.left - margin.right;
+  const fullHeight = margin.top + margin.bottom + counties.length * rowHeight;
+  const svg = container.append('div')
+    .style('max-height', '360px')
+    .style('overflow-y', 'auto')
+    .append('svg')
+    .attr('viewBox', `0 0 ${fullWidth} ${fullHeight}`)
+    .attr('width', '100%');
+  const g = svg.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
+  const x = d3.scaleLinear().domain([1, total]).range([0, width]);
+
+  g.append('g')
+    .call(d3.axisTop(x).ticks(5).tickFormat(d3.format('d')))
+    .call(axis => axis.selectAll('text').style('font-size', '9px'));
+  svg.append('text')
+    .attr('x', fullWidth - 4)
+    .attr('y', 10)
+    .attr('text-anchor', 'end')
+    .style('font-size', '9px')
+    .style('fill', '#555')
+    .text(`in top ${topN}`);
+
+  const rowsG = g.selectAll('g.rank-row')
+    .data(counties)
+    .join('g')
+    .attr('class', 'rank-row')
+    .attr('transform', (d, i) => `translate(0,${i * rowHeight + rowHeight / 2 + 2})`);
+  rowsG.append('title')
+    .text(d => `${d.row.CountyName}: rank #${d.currentRank} now, #${d.low}-#${d.high} in 90% of weightings, top ${topN} in ${Math.round(d.topShare * 100)}%`);
+  rowsG.append('text')
+    .attr('x', -6)
+    .attr('dy', '0.32em')
+    .attr('text-anchor', 'end')
+    .style('font-size', '9px')
+    .text(d => d.row.CountyName);
+  rowsG.append('line')
+    .attr('x1', d => x(d.low))
+    .attr('x2', d => x(d.high))
+    .attr('stroke', '#9ecae1')
+    .attr('stroke-width', 6)
+    .attr('stroke-linecap', 'round');
+  rowsG.append('circle')
+    .attr('cx', d => x(d.median))
+    .attr('r', 2.5)
+    .attr('fill', '#08519c');
+  rowsG.append('line')
+    .attr('x1', d => x(d.currentRank))
+    .attr('x2', d => x(d.currentRank))
+    .attr('y1', -5)
+    .attr('y2', 5)
+    .attr('stroke', '#dc2626')
+    .attr('stroke-width', 1.5);
+  rowsG.append('text')
+    .attr('x', width + margin.right - 4)
+    .attr('dy', '0.32em')
+    .attr('text-anchor', 'end')
+    .style('font-size', '9px')
+    .style('fill', d => d.topShare >= 0.9 ? '#15803d' : d.topShare > 0 ? '#b45309' : '#999')
+    .text(d => `${Math.round(d.topShare * 100)}%`);
+}
+
+
+// Shade counties by the width of their middle-90% rank range. Dark counties move a lot as the weights change.
+function drawStabilityMap() {
+  if (!mapContext || !needsSensitivity) return;
+  const { topN, counties: ranked } = needsSensitivity;
+  const byName = new Map(ranked.map(d => [d.row.CountyName, d]));
+  const extent = [0, d3.max(ranked, d => d.high - d.low) || 1];
+  const color = d3.scaleSequential(d3.interpolatePurples).domain(extent);
+  const { counties, byFips, getFipsFromFeature, path } = mapContext;
+  drawMap(counties, byFips, getFipsFromFeature, path, color, extent, 'Needs Index rank range (90% of weightings)', {
+    valueFor: row => byName.has(row.CountyName) ? byName.get(row.CountyName).high - byName.get(row.CountyName).low : NaN,
+    formatValue: row => {
+      const d = byName.get(row.CountyName);
+      return d ? `Needs rank #${d.currentRank} (#${d.low}-#${d.high} in 90% of weightings), top ${topN} in ${Math.round(d.topShare * 100)}%` : 'Not ranked';
+    }
+  });
+}
+
+
+// Named county groups, e.g. physiographic regions or LME/MCO catchments, read from the manifest's region file and
+// joined on FIPS. Without a region file the counties are split into thirds by centroid longitude.
+function buildRegionGroupings(rows, counties, byFips) {
+  const lonByName = new Map(counties
+    .filter(f => byFips.has(getFipsFromFeature(f)))
+    .map(f => [byFips.get(getFipsFromFeature(f)).CountyName, d3.geoCentroid(f)[0]]));
+  const groupings = [];
+  if (regionRows && manifest.regions) {
+    const joinColumn = manifest.regions.joinColumn || manifest.join.column;
+    const regionByFips = new Map(regionRows.map(d => [countyFips(d[joinColumn], manifest), d]));
+    manifest.regions.groupings
+      .filter(g => regionRows.columns.includes(g.column))
+      .forEach(g => {
+        const regionOf = new Map();
+        rows.forEach(d => {
+          const region = regionByFips.get(d.CountyFIPS)?.[g.column]?.trim();
+          if (region) regionOf.set(d.CountyName, region);
+        });
+        groupings.push({ key: g.key, label: g.label, regionOf, order: g.order });
+      });
+  }
+  if (!groupings.length) {
+    const lons = [...lonByName.values()].sort(d3.ascending);
+    const t1 = lons[Math.floor(lons.length / 3)];
+    const t2 = lons[Math.floor((lons.length * 2) / 3)];
+    groupings.push({
+      key: 'longitude',
+      label: 'Longitude thirds',
+      regionOf: new Map([...lonByName].map(([name, lon]) => [name, lon <= t1 ? 'West' : lon <= t2 ? 'Central' : 'East'])),
+      order: ['West', 'Central', 'East']
+    });
+  }
+  // Regions are listed in the manifest's order, otherwise west to east by the mean longitude of their counties
+  groupings.forEach(g => {
+    const names = [...new Set(g.regionOf.values())];
+    const meanLon = name => d3.mean([...g.regionOf].filter(([, region]) => region === name), ([county]) => lonByName.get(county));
+    g.regions = g.order
+      ? [...g.order.filter(name => names.includes(name)), ...names.filter(name => !g.order.includes(name))]
+      : d3.sort(names, meanLon);
+  });
+  return groupings;
+}
+
+
+// The grouping picked in the region controls, falling back to the first one
+function currentRegionGrouping() {
+  const { regionGroupings } = mapContext;
+  return regionGroupings.find(g => g.key === regionGroupingKey) || regionGroupings[0];
+}
+
+
+// Wire up the region grouping picker and the region map toggle. The buttons themselves are rebuilt per dataset.
+function setupRegionControls() {
+  const groupingSelect = document.getElementById('region-grouping');
+  const mapToggle = document.getElementById('toggle-region-map');
+  if (!groupingSelect || !mapToggle) return;
+
+  groupingSelect.addEventListener('change', () => {
+    regionGroupingKey = groupingSelect.value;
+    setupRegionButtons();
+    if (showRegionMap) drawRegionMap();
+    updateUrlState();
+  });
+  mapToggle.addEventListener('change', () => {
+    const on = mapToggle.checked;
+    clearMapOverlays();
+    showRegionMap = on;
+    mapToggle.checked = on;
+    if (on) drawRegionMap();
+    else drawBaseMap();
+    updateUrlState();
+  });
+}
+
+
+// Fill the grouping picker and add a button per region that selects its counties, plus select all and clear
+function setupRegionButtons() {
+  const container = d3.select('#region-buttons');
+  if (container.empty() || !mapContext) return;
+  // Rebuilt for each dataset and grouping, so drop the previous buttons
+  container.selectAll('button').remove();
+  const { rows, regionGroupings } = mapContext;
+  if (!regionGroupings.some(g => g.key === regionGroupingKey)) regionGroupingKey = regionGroupings[0].key;
+  const grouping = currentRegionGrouping();
+
+  d3.select('#region-grouping').selectAll('option')
+    .data(regionGroupings, g => g.key)
+    .join('option')
+    .attr('value', g => g.key)
+    .text(g => g.label);
+  document.getElementById('region-grouping').value = grouping.key;
+
+  // Function to create a button with label and onClick handler for other functions to use for UI creation
+  function makeButton(label, onClick) {
+    const btn = container.append('button')
+      .attr('type', 'button')
+      .style('padding', '6px 10px')
+      .style('border', '1px solid #ccc')
+      .style('background', 'white')
+      .style('cursor', 'pointer')
+      .text(label)
+      .on('click', onClick);
+    return btn;
+  }
+
+  grouping.regions.forEach(region => {
+    makeButton(`Select ${region}`, () => {
+      selectCountySet(new Set(rows.filter(d => grouping.regionOf.get(d.CountyName) === region).map(d => d.CountyName)));
+    });
+  });
+
+  makeButton('Select All', () => {
+    selectCountySet(new Set(rows.map(d => d.CountyName)));
+  });
+
+  makeButton('Clear Selection', () => {
+    selectCounty(null);
+    updateUrlState();
+  });
+}
+
+
+// Population-weighted averages of the outcome and the Needs Index for each region
+function regionStatistics(rows, grouping) {
+  return grouping.regions.map(name => {
+    const members = rows.filter(d => grouping.regionOf.get(d.CountyName) === name);
+    return {
+      name,
+      counties: members.length,
+      population: d3.sum(members, d => d.TotalPopulation),
+      affected: d3.sum(members, d => d.AffectedAdults),
+      Outcome: populationWeightedMean(members, 'Outcome'),
+      NeedsIndex: populationWeightedMean(members, 'NeedsIndex')
+    };
+  });
+}
+
+
+// Color every county by its region's population-weighted average, outline the regions and list their statistics
+function drawRegionMap() {
+  if (!mapContext || !showRegionMap) return;
+  const { rows, counties, byFips, getFipsFromFeature, path, colorOutcome, outcomeExtent, colorNeeds, topology } = mapContext;
+  const grouping = currentRegionGrouping();
+  const stats = regionStatistics(rows, grouping);
+  const statsByRegion = new Map(stats.map(s => [s.name, s]));
+  const regionFor = row => row ? statsByRegion.get(grouping.regionOf.get(row.CountyName)) : null;
+  // Same color scale as the county map, so region and county shades compare directly
+  const needs = rows.some(d => !isNaN(d.NeedsIndex));
+  const field = needs ? 'NeedsIndex' : 'Outcome';
+  const format = v => needs ? v.toFixed(2) : formatMetric(manifest.outcome.format, v);
+
+  drawMap(counties, byFips, getFipsFromFeature, path, needs ? colorNeeds : colorOutcome, needs ? colorNeeds.domain() : outcomeExtent,
+    `${needs ? 'Needs Index (0-10)' : outcomeTitle()}, ${grouping.label.toLowerCase()} average`, {
+      valueFor: row => regionFor(row) ? regionFor(row)[field] : NaN,
+      formatValue: row => {
+        const s = regionFor(row);
+        return s ? `${escapeHtml(s.name)}: ${format(s[field])} (population-weighted, ${s.counties} counties)` : 'Not in a region';
+      }
+    });
+
+  // Region outlines are the county edges between two regions plus the outer edge, meshed from the TopoJSON arcs. They
+  // follow county boundaries, which the cartogram and hex grid don't keep, and GeoJSON boundaries have no shared arcs.
+  const regionOf = county => grouping.regionOf.get(byFips.get(getFipsFromFeature(county))?.CountyName) ?? null;
+  if (mapLayout === 'geographic' && topology) mapSvg.select('g').append('path')
+    .attr('class', 'region-outline')
+    .datum(topojson.mesh(topology.topology, topology.object, (a, b) => a === b || regionOf(a) !== regionOf(b)))
+    .attr('d', path)
+    .attr('fill', 'none')
+    .attr('stroke', '#222')
+    .attr('stroke-width', 1.5)
+    .attr('stroke-linejoin', 'round')
+    .attr('pointer-events', 'none');
+
+  drawRegionSummary(grouping, stats);
+}
+
+
+// Table of each region's county count, population and population-weighted averages, shown with the region map
+function drawRegionSummary(grouping, stats) {
+  const container = document.getElementById('region-summary');
+  if (!container) return;
+  const needs = stats.some(s => !isNaN(s.NeedsIndex));
+  const affected = hasAffectedCounts();
+  const rowsHtml = stats.map(s => `
+    <tr style="border-top:1px solid #eee;">
+      <td style="padding:3px 6px;">${escapeHtml(s.name)}</td>
+      <td style="text-align:right; padding:3px 6px;">${s.counties}</td>
+      <td style="text-align:right; padding:3px 6px;">${d3.format(',')(s.population)}</td>
+      ${affected ? `<td style="text-align:right; padding:3px 6px;">${formatMetric('count', s.affected)}</td>` : ''}
+      <td style="text-align:right; padding:3px 6px;">${formatMetric(manifest.outcome.format, s.Outcome)}</td>
+      ${needs ? `<td style="text-align:right; padding:3px 6px;">${formatMetric('number', s.NeedsIndex)}</td>` : ''}
+    </tr>`).join('');
+  container.innerHTML = `
+    <table style="width:100%; border-collapse:collapse; font-size:12px;">
+      <thead><tr>
+        <th style="text-align:left; padding:3px 6px;">${escapeHtml(grouping.label)}</th>
+        <th style="text-align:right; padding:3px 6px;">Counties</th>
+        <th style="text-align:right; padding:3px 6px;">Population</th>
+        ${affected ? `<th style="text-align:right; padding:3px 6px;">${escapeHtml(affectedLabel())}</th>` : ''}
+        <th style="text-align:right; padding:3px 6px;">${escapeHtml(manifest.outcome.label)}</th>
+        ${needs ? '<th style="text-align:right; padding:3px 6px;">Needs Index</th>' : ''}
+      </tr></thead>
+      <tbody>${rowsHtml}</tbody>
+    </table>
+    <p style="margin:4px 0 0 0; font-size:11px; color:#888;">Averages are weighted by adult population${affected ? ' and estimated adults are summed' : ''}.</p>
+  `;
+  container.style.display = 'block';
+}
+
+
+// Function to draw the main choropleth map. Each county is filled by the provided color scale.
+// Options: valueFor colors by something other than the Needs Index or outcome rate, formatValue
+// replaces the extra tooltip line, and drawLegend replaces the default color ramp legend.
+function drawMap(counties, byFips, getFipsFromFeature, path, color, legendExtent, legendTitle, options = {}) {
+  const { valueFor, formatValue, drawLegend } = options;
+  // Once the Needs Index is applied, counties it couldn't score show no data rather than their outcome rate
+  const needsShown = !valueFor && counties.some(f => !isNaN(byFips.get(getFipsFromFeature(f))?.NeedsIndex));
+  const mapValue = row => valueFor ? valueFor(row) : needsShown ? row.NeedsIndex : row.Outcome;
+
+  // Apply the chosen palette and class breaks to single-variable maps
+  let classes = null;
+  if (!drawLegend) {
+    const values = counties
+      .map(f => byFips.get(getFipsFromFeature(f)))
+      .filter(Boolean)
+      .map(mapValue)
+      .filter(v => v != null && !isNaN(v));
+    ({ color, classes } = classifyMapColors(color, values));
+  }
+  mapSvg.selectAll("*").remove();
+
+  const container = mapSvg.node();
+  const w = 800;
+  const h = 600;
+
+  const tooltipHtml = row => `
+    <strong>${escapeHtml(row.CountyName)} County</strong><br/>
+    ${outcomeTooltipLines(row)}
+    ${formatValue ? `<br/>${formatValue(row)}` : valueFor && valueFor(row) != null ? `<br/>${escapeHtml(legendTitle)}: ${(+valueFor(row)).toFixed(2)}` : ''}
+  `;
+  // What the map shows for a county, in words, for its screen-reader label and the data table
+  const valueText = row => {
+    if (formatValue) return tooltipText(formatValue(row));
+    const v = mapValue(row);
+    if (v == null || isNaN(v)) return 'No data';
+    if (valueFor) return (+v).toFixed(2);
+    return needsShown ? `${v.toFixed(2)}/10` : formatMetric(manifest.outcome.format, v);
+  };
+
+  const g = mapSvg
+    .attr("viewBox", `0 0 ${w} ${h}`)
+    .attr("role", "group")
+    .attr("aria-label", `Map of ${legendTitle} by county. Use the arrow keys to move between counties, Enter to select one ` +
+      `and Shift+Enter to add it to the selection. The same values are in the table below the map.`)
+    .append("g")
+    .attr("class", "map-layer");
+
+  const selected = selectedNameSet();
+  g.selectAll("path")
+    .data(counties)
+    .join("path")
+    .attr("class", "county")
+    .attr("d", path)
+    .attr("fill", d => {
+      const fips = getFipsFromFeature(d);
+      const row = byFips.get(fips);
+      if (!row) return "#f5f5f5";
+      // Use needs index color scale is set, otherwise outcome color scale intially
+      const val = mapValue(row);
+      if (val == null || (typeof val === "number" && isNaN(val))) return "#f5f5f5";
+      return color(val);
+    })
+    .attr("data-county-name", d => {
+      const fips = getFipsFromFeature(d);
+      const row = byFips.get(fips);
+      return row ? row.CountyName : "";
+    })
+    // Add stroke if county is selected
+    .attr("stroke", d => {
+      const fips = getFipsFromFeature(d);
+      const row = byFips.get(fips);
+      return row && selected.has(row.CountyName) ? "#000" : "#fff";
+    })
+    .attr("stroke-width", d => {
+      const fips = getFipsFromFeature(d);
+      const row = byFips.get(fips);
+      return row && selected.has(row.CountyName) ? 3 : 0.5;
+    })
+    .attr("role", d => byFips.has(getFipsFromFeature(d)) ? "button" : null)
+    .attr("aria-label", d => {
+      const row = byFips.get(getFipsFromFeature(d));
+      return row ? `${row.CountyName} County, ${legendTitle}: ${valueText(row)}` : null;
+    })
+    .attr("aria-pressed", d => {
+      const row = byFips.get(getFipsFromFeature(d));
+      return row ? selected.has(row.CountyName) : null;
+    })
+    .style("cursor", "pointer")
+    .on("mouseover", function (event, d) {
+      const fips = getFipsFromFeature(d);
+      const row = byFips.get(fips);
+      if (!row) return;
+      const isSelected = selectedNameSet().has(row.CountyName);
+      // Keep the balck outline while selected
+      d3.select(this)
+        .attr("stroke-width", isSelected ? 3 : 2)
+        .attr("stroke", isSelected ? "#000" : "#333");
+
+      tooltip
+        .style("opacity", 1)
+        .html(tooltipHtml(row))
+        .style("left", (event.pageX + 10) + "px")
+        .style("top",  (event.pageY + 10) + "px");
+    })
+    .on("mousemove", (event) => {
+      tooltip
+        .style("left", (event.pageX + 10) + "px")
+        .style("top",  (event.pageY + 10) + "px");
+    })
+    .on("mouseout", function (event, d) {
+      const fips = getFipsFromFeature(d);
+      const row = byFips.get(fips);
+      const isSelected = row && selectedNameSet().has(row.CountyName);
+      d3.select(this)
+        .attr("stroke-width", isSelected ? 3 : 0.5)
+        .attr("stroke", isSelected ? "#000" : "#fff");
+      tooltip.style("opacity", 0);
+    })
+    .on("click", (event, d) => {
+      const fips = getFipsFromFeature(d);
+      const row = byFips.get(fips);
+      if (!row) return;
+      if (store.get('selectionMode') === 'compare') {
+        togglePinnedCounty(row.CountyName);
+        return;
+      }
+      // Shift or ctrl/cmd-click adds the county to the multi-county selection, or takes it out
+      if (event.shiftKey || event.ctrlKey || event.metaKey) {
+        toggleBrushedCounty(row.CountyName);
+        return;
+      }
+      updateCountyDetails(row);
+      selectCounty(row.CountyName);
+      zoomToCounty(row.CountyName);
+      updateUrlState();
+    });
+
+  // County names, shown when zoomed in
+  g.append("g")
+    .attr("class", "county-labels")
+    .style("pointer-events", "none")
+    .selectAll("text")
+    .data(counties.filter(f => byFips.has(getFipsFromFeature(f))))
+    .join("text")
+    .attr("transform", f => `translate(${path.centroid(f)})`)
+    .attr("text-anchor", "middle")
+    .attr("dy", "0.35em")
+    .attr("fill", "#111")
+    .attr("stroke", "#fff")
+    .attr("paint-order", "stroke")
+    .text(f => byFips.get(getFipsFromFeature(f)).CountyName);
+
+  // Keyboard focus ring, drawn above the counties so neighboring outlines don't cover it
+  const focusRing = g.append("path")
+    .attr("class", "county-focus")
+    .attr("fill", "none")
+    .attr("stroke", "#111")
+    .attr("stroke-width", 2.5)
+    .attr("stroke-dasharray", "4 2")
+    .style("pointer-events", "none")
+    .style("display", "none");
+
+  const focusable = g.selectAll("path.county").filter(d => byFips.has(getFipsFromFeature(d)));
+  const selectedIndex = focusable.data().findIndex(d => byFips.get(getFipsFromFeature(d)).CountyName === store.get('selectedCountyName'));
+  makeKeyboardNavigable(focusable, d => path.centroid(d), selectedIndex);
+  focusable
+    .on("focus", function (event, d) {
+      // Bring a county that is off screen into view when the map is zoomed in
+      const [cx, cy] = path.centroid(d);
+      const [sx, sy] = d3.zoomTransform(mapSvg.node()).apply([cx, cy]);
+      if (sx < 0 || sx > w || sy < 0 || sy > h) mapSvg.call(mapZoom.translateTo, cx, cy);
+      focusRing.attr("d", path(d)).style("display", null).raise();
+      showTooltipBeside(this, tooltipHtml(byFips.get(getFipsFromFeature(d))));
+    })
+    .on("blur", () => {
+      focusRing.style("display", "none");
+      tooltip.style("opacity", 0);
+    });
+
+  registerDataTable("map", d3.select("#map-data-table"), () => ({
+    caption: `${legendTitle} by county`,
+    columns: ["County", legendTitle],
+    rows: counties
+      .map(f => byFips.get(getFipsFromFeature(f)))
+      .filter(Boolean)
+      .sort((a, b) => d3.ascending(a.CountyName, b.CountyName))
+      .map(row => ({ county: row.CountyName, cells: [row.CountyName, valueText(row)] }))
+  }));
+
+  if (drawLegend) drawLegend();
+  else drawColorLegend(g, color, legendExtent, w, h, legendTitle, classes);
+  // Say what the shapes mean when they aren't county outlines
+  if (mapLayout !== 'geographic') {
+    mapSvg.append("text")
+      .attr("class", "layout-note")
+      .attr("x", 12)
+      .attr("y", 20)
+      .style("font-size", "11px")
+      .style("fill", "#555")
+      .style("pointer-events", "none")
+      .text(mapLayout === 'dorling'
+        ? "Population cartogram: circle area is proportional to county population"
+        : "Hex grid: one equal-size hexagon per county, placed near its location");
+  }
+  drawUncertaintyHatch();
+  drawAffectedSymbols();
+  applyMapZoom();
+}
+
+
+// The path generator for a map layout, worked out once per dataset. The cartogram sizes counties by total population.
+function layoutPath(layout) {
+  const { counties, byFips, layoutPaths } = mapContext;
+  const geoPath = layoutPaths.geographic;
+  if (!layoutPaths[layout]) {
+    layoutPaths[layout] = layout === 'dorling'
+      ? dorlingLayout(counties, f => byFips.get(getFipsFromFeature(f))?.TotalPopulation, geoPath, [800, 600])
+      : hexGridLayout(counties, geoPath);
+  }
+  return layoutPaths[layout];
+}
+
+
+// Fill the layout picker and redraw the current map view in the chosen layout. The selection and zoom-to-county
+// work the same in every layout, since the views only ask the path for each county's shape, center and bounds.
+function setupMapLayoutControls() {
+  const select = document.getElementById('map-layout');
+  if (!select) return;
+  d3.select(select).selectAll('option')
+    .data(Object.entries(MAP_LAYOUTS))
+    .join('option')
+    .attr('value', d => d[0])
+    .text(d => d[1]);
+  select.value = mapLayout;
+  select.addEventListener('change', () => {
+    if (!mapContext) return;
+    mapLayout = select.value;
+    mapContext.path = layoutPath(mapLayout);
+    mapSvg.call(mapZoom.transform, d3.zoomIdentity);
+    redrawCurrentMap();
+    announce(`Map layout: ${MAP_LAYOUTS[mapLayout].toLowerCase()}`);
+    updateUrlState();
+  });
+}
+
+
+// Wheel, pinch and drag zoom on the map. In cluster mode dragging, with the mouse or one finger, draws a lasso
+// instead, so only the wheel and a two-finger pinch zoom there. A few pixels of slop keep sloppy clicks working as
+// clicks.
+function setupMapZoom() {
+  mapZoom
+    .extent([[0, 0], [800, 600]])
+    .scaleExtent([1, MAP_MAX_ZOOM])
+    .translateExtent([[0, 0], [800, 600]])
+    .filter(event => (!event.ctrlKey || event.type === 'wheel') && !event.button
+      && (store.get('selectionMode') !== 'cluster' || event.type === 'wheel'
+        || (event.type === 'touchstart' && event.touches.length > 1)))
+    .clickDistance(4)
+    .on('zoom', applyMapZoom);
+  mapSvg.call(mapZoom);
+
+  const reset = document.getElementById('zoom-reset');
+  if (reset) reset.addEventListener('click', () => mapSvg.transition().duration(500).call(mapZoom.transform, d3.zoomIdentity));
+}
+
+
+// Apply the current zoom to the map layer. Outlines keep their on-screen width (vector-effect in the stylesheet),
+// the hatching keeps its spacing and county labels show once the map is zoomed in far enough to fit them.
+function applyMapZoom() {
+  const transform = d3.zoomTransform(mapSvg.node());
+  const { k } = transform;
+  mapSvg.select('g.map-layer').attr('transform', transform);
+  mapSvg.select('#uncertain-hatch').attr('patternTransform', `rotate(45) scale(${1 / k})`);
+  mapSvg.select('g.county-labels')
+    .style('display', k >= MAP_LABEL_ZOOM ? null : 'none')
+    .selectAll('text')
+    .attr('font-size', 11 / k)
+    .attr('stroke-width', 3 / k);
+  // Circles keep their on-screen size, so zooming in doesn't cover the map
+  mapSvg.select('g.symbol-layer').selectAll('circle')
+    .attr('r', function () { return this.getAttribute('data-radius') / k; });
+}
+
+
+// Zoom the map so a county fills the middle of it, leaving its neighbors in view
+function zoomToCounty(countyName, { animate = true } = {}) {
+  if (!mapContext) return;
+  const { counties, byFips, path } = mapContext;
+  const feature = counties.find(f => byFips.get(getFipsFromFeature(f))?.CountyName === countyName);
+  if (!feature) return;
+  const [[x0, y0], [x1, y1]] = path.bounds(feature);
+  const k = Math.min(MAP_MAX_ZOOM / 2, 0.3 / Math.max((x1 - x0) / 800, (y1 - y0) / 600));
+  const transform = d3.zoomIdentity.translate(400, 300).scale(Math.max(1, k)).translate(-(x0 + x1) / 2, -(y0 + y1) / 2);
+  (animate ? mapSvg.transition().duration(750) : mapSvg).call(mapZoom.transform, transform);
+}
+
+
+// Fill the county search suggestions from the current dataset
+function updateCountySearchOptions() {
+  d3.select('#county-search-options').selectAll('option')
+    .data(mapContext.rows.map(d => d.CountyName).sort(d3.ascending))
+    .join('option')
+    .attr('value', name => name);
+}
+
+
+// Find a county by name as the user types: an exact match, ignoring case and a trailing "County", or the only
+// county starting with the text. Picking one selects it and centers the map on it.
+function setupCountySearch() {
+  const input = document.getElementById('county-search');
+  const status = document.getElementById('county-search-status');
+  if (!input || !status) return;
+
+  function search() {
+    if (!mapContext) return;
+    const text = input.value.trim().replace(/\s+county$/i, '').toLowerCase();
+    if (!text) {
+      status.textContent = '';
+      return;
+    }
+    const { rows } = mapContext;
+    const startsWith = rows.filter(d => d.CountyName.toLowerCase().startsWith(text));
+    const row = rows.find(d => d.CountyName.toLowerCase() === text) || (startsWith.length === 1 ? startsWith[0] : null);
+    if (!row) {
+      status.textContent = startsWith.length ? `${startsWith.length} counties match` : 'No county by that name';
+      return;
+    }
+    status.textContent = '';
+    input.value = row.CountyName;
+    updateCountyDetails(row);
+    selectCounty(row.CountyName);
+    zoomToCounty(row.CountyName);
+    updateUrlState();
+  }
+  // Picking a suggestion fires change; Enter searches whatever was typed
+  input.addEventListener('change', search);
+  input.addEventListener('keydown', event => {
+    if (event.key === 'Enter') search();
+  });
+}
+
+
+// Wire up the uncertain county toggle and threshold input. The default threshold is the upper quartile of CI widths.
+function setupUncertaintyControls() {
+  const toggle = document.getElementById('toggle-uncertain-hatch');
+  const input = document.getElementById('uncertain-threshold');
+  if (!toggle || !input) return;
+
+  toggle.checked = showUncertainHatch;
+
+  toggle.addEventListener('change', () => {
+    showUncertainHatch = toggle.checked;
+    drawUncertaintyHatch();
+    updateUrlState();
+  });
+  input.addEventListener('input', () => {
+    const value = +input.value;
+    if (isNaN(value)) return;
+    uncertainCIThreshold = value;
+    drawUncertaintyHatch();
+    updateUrlState();
+  });
+}
+
+
+// Default the uncertainty threshold to the upper quartile of this dataset's CI widths
+function resetUncertaintyThreshold(rows) {
+  const widths = rows.map(d => d.OutcomeCIWidth).filter(v => !isNaN(v)).sort(d3.ascending);
+  uncertainCIThreshold = widths.length ? +d3.quantile(widths, 0.75).toFixed(1) : null;
+  const input = document.getElementById('uncertain-threshold');
+  if (input) input.value = uncertainCIThreshold ?? '';
+}
+
+
+// Overlay a diagonal hatch on counties whose age-adjusted 95% CI is wider than the threshold
+function drawUncertaintyHatch() {
+  mapSvg.selectAll(".hatch-layer").remove();
+  if (!showUncertainHatch || uncertainCIThreshold == null) return;
+
+  let defs = mapSvg.select("defs");
+  if (defs.empty()) defs = mapSvg.insert("defs", ":first-child");
+  if (defs.select("#uncertain-hatch").empty()) {
+    defs.append("pattern")
+      .attr("id", "uncertain-hatch")
+      .attr("patternUnits", "userSpaceOnUse")
+      .attr("width", 6)
+      .attr("height", 6)
+      .attr("patternTransform", "rotate(45)")
+      .append("line")
+      .attr("x1", 0).attr("y1", 0)
+      .attr("x2", 0).attr("y2", 6)
+      .attr("stroke", "#333")
+      .attr("stroke-width", 1.2)
+      .attr("stroke-opacity", 0.6);
+  }
+
+  // Copy each uncertain county's outline into a layer above the map that ignores the mouse
+  const rowByName = new Map(scatterData.map(d => [d.CountyName, d]));
+  const layer = mapSvg.select("g").append("g")
+    .attr("class", "hatch-layer")
+    .style("pointer-events", "none");
+  mapSvg.selectAll("path.county").each(function() {
+    const row = rowByName.get(this.getAttribute("data-county-name"));
+    if (!row || !(row.OutcomeCIWidth > uncertainCIThreshold)) return;
+    layer.append("path")
+      .attr("d", this.getAttribute("d"))
+      .attr("fill", "url(#uncertain-hatch)")
+      .attr("stroke", "none");
+  });
+}
+
+
+// Wire up the estimated-adults circles on the map. The control is hidden when the outcome can't be turned into a count.
+function setupAffectedSymbolControls() {
+  const toggle = document.getElementById('toggle-affected-symbols');
+  if (!toggle) return;
+  toggle.checked = showAffectedSymbols;
+  toggle.addEventListener('change', () => {
+    showAffectedSymbols = toggle.checked;
+    drawAffectedSymbols();
+    updateUrlState();
+  });
+}
+
+
+// Show the estimated-adults control and its label for the loaded manifest
+function updateAffectedSymbolControls() {
+  const label = document.getElementById('affected-symbols-control');
+  if (!label) return;
+  label.style.display = hasAffectedCounts() ? null : 'none';
+  d3.select('#affected-symbols-label').text(`Circles sized by ${affectedLabel().toLowerCase()}`);
+  if (!hasAffectedCounts()) showAffectedSymbols = false;
+}
+
+
+// Overlay a circle on each county, its area proportional to the estimated adults with the outcome, so the counties
+// holding the most affected people stand out whatever the map is colored by. One scale covers every release year.
+function drawAffectedSymbols() {
+  mapSvg.selectAll(".symbol-layer, .symbol-legend").remove();
+  if (!showAffectedSymbols || !mapContext || !hasAffectedCounts()) return;
+  const { rows, counties, byFips, path } = mapContext;
+  const allRows = datasetYears ? [...datasetYears.values()].flat() : rows;
+  const max = d3.max(allRows, d => d.AffectedAdults);
+  if (!(max > 0)) return;
+  const radius = d3.scaleSqrt().domain([0, max]).range([0, 28]);
+  const rowByFips = new Map(rows.map(d => [d.CountyFIPS, d]));
+
+  // Largest circles first, so smaller ones stay visible on top of them
+  const symbols = counties
+    .map(f => ({ feature: f, row: rowByFips.get(getFipsFromFeature(f)) }))
+    .filter(d => d.row && d.row.AffectedAdults > 0 && byFips.has(d.row.CountyFIPS))
+    .sort((a, b) => b.row.AffectedAdults - a.row.AffectedAdults);
+
+  mapSvg.select("g.map-layer").append("g")
+    .attr("class", "symbol-layer")
+    .style("pointer-events", "none")
+    .selectAll("circle")
+    .data(symbols)
+    .join("circle")
+    .attr("cx", d => path.centroid(d.feature)[0])
+    .attr("cy", d => path.centroid(d.feature)[1])
+    .attr("data-radius", d => radius(d.row.AffectedAdults))
+    .attr("fill", "#111")
+    .attr("fill-opacity", 0.25)
+    .attr("stroke", "#111")
+    .attr("stroke-width", 1)
+    .attr("vector-effect", "non-scaling-stroke");
+
+  // Nested reference circles in the corner, outside the zoomed layer
+  const legendValues = [max, max / 4, max / 16].map(v => +d3.format(".1~r")(v));
+  const legendY = 600 - 12;
+  const legend = mapSvg.append("g")
+    .attr("class", "symbol-legend")
+    .attr("transform", `translate(${12 + radius(legendValues[0])},${legendY})`)
+    .style("pointer-events", "none")
+    .style("font-size", "10px");
+  legend.append("text")
+    .attr("x", -radius(legendValues[0]))
+    .attr("y", -2 * radius(legendValues[0]) - 6)
+    .style("font-weight", "bold")
+    .text(affectedLabel());
+  legendValues.forEach(v => {
+    legend.append("circle")
+      .attr("cy", -radius(v))
+      .attr("r", radius(v))
+      .attr("fill", "none")
+      .attr("stroke", "#111");
+    legend.append("line")
+      .attr("x1", 0)
+      .attr("x2", radius(legendValues[0]) + 8)
+      .attr("y1", -2 * radius(v))
+      .attr("y2", -2 * radius(v))
+      .attr("stroke", "#111")
+      .attr("stroke-dasharray", "2 2");
+    legend.append("text")
+      .attr("x", radius(legendValues[0]) + 10)
+      .attr("y", -2 * radius(v))
+      .attr("dy", "0.35em")
+      .text(d3.format(",")(v));
+  });
+  applyMapZoom();
+}
+
+
+// Fill the bivariate variable pickers and redraw the map whenever the toggle or either variable changes
+function setupBivariateControls() {
+  const toggle = document.getElementById('toggle-bivariate');
+  const xSelect = document.getElementById('bivariate-x');
+  const ySelect = document.getElementById('bivariate-y');
+  if (!toggle || !xSelect || !ySelect) return;
+
+  [xSelect, ySelect].forEach(select => {
+    d3.select(select).selectAll('option')
+      .data(countyMetrics)
+      .join('option')
+      .attr('value', m => m.field)
+      .text(m => m.label);
+  });
+  xSelect.value = 'Outcome';
+  // Default to the outcome crossed with the first predictor where higher means more need, e.g. poverty
+  const yPredictor = manifest.predictors.find(p => p.needDirection === 'higher') || manifest.predictors[0];
+  ySelect.value = yPredictor ? yPredictor.column : 'NeedsIndex';
+
+  function update() {
+    const on = toggle.checked;
+    clearMapOverlays();
+    if (!on) {
+      drawBaseMap();
+      updateUrlState();
+      return;
+    }
+    toggle.checked = true;
+    bivariateFields = { x: xSelect.value, y: ySelect.value };
+    drawBivariateMap();
+    updateUrlState();
+  }
+  toggle.addEventListener('change', update);
+  xSelect.addEventListener('change', () => { if (toggle.checked) update(); });
+  ySelect.addEventListener('change', () => { if (toggle.checked) update(); });
+}
+
+
+// Split a metric into low/middle/high tertiles across the counties that have a value for it
+function tertileScale(rows, field) {
+  const values = rows.map(d => d[field]).filter(v => v != null && !isNaN(v));
+  return d3.scaleQuantile().domain(values).range([0, 1, 2]);
+}
+
+
+// Color each county by the tertiles of two metrics at once from the 3x3 bivariate palette
+function drawBivariateMap() {
+  if (!mapContext || !bivariateFields) return;
+  const { rows, counties, byFips, getFipsFromFeature, path } = mapContext;
+  const xMetric = countyMetrics.find(m => m.field === bivariateFields.x);
+  const yMetric = countyMetrics.find(m => m.field === bivariateFields.y);
+  const xClass = tertileScale(rows, xMetric.field);
+  const yClass = tertileScale(rows, yMetric.field);
+  const classNames = ['low', 'middle', 'high'];
+  const hasValue = v => v != null && !isNaN(v);
+
+  drawMap(counties, byFips, getFipsFromFeature, path, cell => BIVARIATE_PALETTE[cell[1]][cell[0]], null,
+    `${xMetric.label} × ${yMetric.label}`, {
+      valueFor: row => hasValue(row[xMetric.field]) && hasValue(row[yMetric.field])
+        ? [xClass(row[xMetric.field]), yClass(row[yMetric.field])]
+        : null,
+      formatValue: row => hasValue(row[xMetric.field]) && hasValue(row[yMetric.field])
+        ? `${escapeHtml(xMetric.label)}: ${classNames[xClass(row[xMetric.field])]} third<br/>${escapeHtml(yMetric.label)}: ${classNames[yClass(row[yMetric.field])]} third`
+        : 'No bivariate class',
+      drawLegend: () => drawBivariateLegend(xMetric, yMetric, xClass.quantiles(), yClass.quantiles())
+    });
+}
+
+
+// Draw the 3x3 legend grid for the bivariate map, with tertile cut points along each axis
+function drawBivariateLegend(xMetric, yMetric, xBreaks, yBreaks) {
+  const htmlLegend = document.getElementById('map-legend');
+  if (!htmlLegend) return;
+  htmlLegend.innerHTML = '';
+  const cell = 22;
+  const svg = d3.select(htmlLegend).append('svg')
+    .attr('viewBox', `0 0 340 ${cell * 3 + 56}`)
+    .attr('width', '100%')
+    .attr('height', cell * 3 + 56);
+  const g = svg.append('g').attr('transform', 'translate(110,10)');
+
+  BIVARIATE_PALETTE.forEach((paletteRow, yi) => {
+    paletteRow.forEach((fill, xi) => {
+      g.append('rect')
+        .attr('x', xi * cell)
+        .attr('y', (2 - yi) * cell)
+        .attr('width', cell)
+        .attr('height', cell)
+        .attr('fill', fill)
+        .attr('stroke', '#fff');
+    });
+  });
+
+  // Tertile cut points along each axis
+  xBreaks.forEach((v, i) => {
+    g.append('text').attr('x', (i + 1) * cell).attr('y', cell * 3 + 12).attr('text-anchor', 'middle')
+      .style('font-size', '10px').text(xMetric.format(v));
+  });
+  yBreaks.forEach((v, i) => {
+    g.append('text').attr('x', -4).attr('y', (2 - i) * cell + 3).attr('text-anchor', 'end')
+      .style('font-size', '10px').text(yMetric.format(v));
+  });
+
+  g.append('text').attr('x', cell * 1.5).attr('y', cell * 3 + 28).attr('text-anchor', 'middle')
+    .style('font-size', '12px').style('font-weight', 'bold').text(`${xMetric.label} →`);
+  g.append('text').attr('transform', `translate(${cell * 3 + 16},${cell * 1.5}) rotate(90)`).attr('text-anchor', 'middle')
+    .style('font-size', '12px').style('font-weight', 'bold').text(`${yMetric.label} →`);
+}
+
+
+// Fields the hotspot map can test: the outcome and, once it is shown, the Needs Index
+function lisaMetrics() {
+  return [
+    { field: 'Outcome', label: manifest.outcome.label },
+    { field: 'NeedsIndex', label: 'Needs Index' }
+  ];
+}
+
+
+// Fill the hotspot variable picker and redraw the map whenever the toggle or the variable changes
+function setupLisaControls() {
+  const toggle = document.getElementById('toggle-lisa');
+  const fieldSelect = document.getElementById('lisa-field');
+  if (!toggle || !fieldSelect) return;
+
+  d3.select(fieldSelect).selectAll('option')
+    .data(lisaMetrics())
+    .join('option')
+    .attr('value', m => m.field)
+    .text(m => m.label);
+
+  function update() {
+    const on = toggle.checked;
+    clearMapOverlays();
+    if (!on) {
+      drawBaseMap();
+      updateUrlState();
+      return;
+    }
+    toggle.checked = true;
+    lisaField = fieldSelect.value;
+    drawLisaMap();
+    updateUrlState();
+  }
+  toggle.addEventListener('change', update);
+  fieldSelect.addEventListener('change', () => { if (toggle.checked) update(); });
+}
+
+
+// Color counties by their LISA cluster: significant hotspots, coldspots and the two kinds of spatial outlier
+function drawLisaMap() {
+  if (!mapContext || !lisaField) return;
+  const { rows, counties, byFips, getFipsFromFeature, path, neighbors } = mapContext;
+  const metric = lisaMetrics().find(m => m.field === lisaField);
+  const summary = document.getElementById('lisa-summary');
+  const indexByFips = new Map(rows.map((d, i) => [d.CountyFIPS, i]));
+  const result = moranAnalysis(
+    rows.map(d => d[lisaField] == null ? NaN : +d[lisaField]),
+    rows.map(d => (neighbors.get(d.CountyFIPS) || []).map(f => indexByFips.get(f)).filter(i => i != null))
+  );
+  if (!result) {
+    if (summary) summary.textContent = lisaField === 'NeedsIndex' ? 'Show the Needs Index on the map first.' : 'Not enough counties with values.';
+    drawBaseMap();
+    return;
   }
+  if (summary) summary.textContent = `Moran's I = ${result.I.toFixed(2)} (${formatPValue(result.pValue)})`;
+  const localByName = new Map(rows.map((d, i) => [d.CountyName, result.local[i]]));
 
-  makeButton('Select West', () => {
-    const names = regionNamesForPredicate(lon => lon <= t1);
-    brushedCountyNames = names;
-    updateScatterHighlightsByNames(brushedCountyNames);
-  });
+  drawMap(counties, byFips, getFipsFromFeature, path, cluster => LISA_CLUSTERS[cluster].color, null,
+    `${metric.label} clusters (LISA)`, {
+      valueFor: row => localByName.get(row.CountyName)?.cluster || null,
+      formatValue: row => {
+        const d = localByName.get(row.CountyName);
+        if (!d) return `No ${escapeHtml(metric.label)} value`;
+        if (!d.cluster) return 'No neighboring counties';
+        return `${LISA_CLUSTERS[d.cluster].label}<br/>Local Moran's I = ${d.I.toFixed(2)} (${formatPValue(d.pValue)}, ${d.neighbors} neighbors)`;
+      },
+      drawLegend: () => drawLisaLegend(metric, result)
+    });
+}
 
-  makeButton('Select Central', () => {
-    const names = regionNamesForPredicate(lon => lon > t1 && lon <= t2);
-    brushedCountyNames = names;
-    updateScatterHighlightsByNames(brushedCountyNames);
-  });
 
-  makeButton('Select East', () => {
-    const names = regionNamesForPredicate(lon => lon > t2);
-    brushedCountyNames = names;
-    updateScatterHighlightsByNames(brushedCountyNames);
-  });
+// Legend for the cluster map: a swatch and county count per cluster, then the global Moran's I
+function drawLisaLegend(metric, result) {
+  const htmlLegend = document.getElementById('map-legend');
+  if (!htmlLegend) return;
+  htmlLegend.innerHTML = '';
+  const counts = d3.rollup(result.local.filter(d => d && d.cluster), v => v.length, d => d.cluster);
+  const svg = d3.select(htmlLegend).append('svg')
+    .attr('viewBox', '0 0 700 64')
+    .attr('width', '100%')
+    .attr('height', 64);
+  svg.append('text').attr('x', 0).attr('y', 12)
+    .style('font-size', '12px').style('font-weight', 'bold')
+    .text(`${metric.label}: local Moran's I clusters (p ≤ ${result.alpha})`);
 
-  makeButton('Select All', () => {
-    const names = regionNamesForPredicate(() => true);
-    brushedCountyNames = names;
-    updateScatterHighlightsByNames(brushedCountyNames);
+  Object.entries(LISA_CLUSTERS).forEach(([key, cluster], i) => {
+    const g = svg.append('g').attr('transform', `translate(${i * 140},22)`);
+    g.append('rect').attr('width', 14).attr('height', 14).attr('fill', cluster.color).attr('stroke', '#ccc');
+    g.append('text').attr('x', 18).attr('y', 11).style('font-size', '10px')
+      .text(`${cluster.label} (${counts.get(key) || 0})`);
   });
 
-  makeButton('Clear Selection', () => {
-    brushedCountyNames.clear();
-    updateScatterHighlightsByNames(brushedCountyNames);
-    highlightScatter(null);
-  });
+  svg.append('text').attr('x', 0).attr('y', 56).style('font-size', '10px').style('fill', '#555')
+    .text(`Global Moran's I = ${result.I.toFixed(3)} (expected ${result.expected.toFixed(3)}, ${formatPValue(result.pValue)}, ${result.permutations} permutations, queen contiguity, n = ${result.n})`);
 }
 
 
-// Function to draw the main choropleth map. Each county is filled by the provided color scale.
-function drawMap(counties, byFips, getFipsFromFeature, path, color, legendExtent, legendTitle) {
-  mapSvg.selectAll("*").remove();
+// Fill the classing controls beside the legend and redraw the map when any of them change
+function setupClassingControls() {
+  const methodSelect = document.getElementById('classing-method');
+  const countSelect = document.getElementById('classing-count');
+  const paletteSelect = document.getElementById('classing-palette');
+  if (!methodSelect || !countSelect || !paletteSelect) return;
 
-  const container = mapSvg.node();
-  const w = 800;
-  const h = 600;
+  d3.select(methodSelect).selectAll('option')
+    .data(Object.entries(CLASSING_METHODS))
+    .join('option')
+    .attr('value', d => d[0])
+    .text(d => d[1]);
+  d3.select(countSelect).selectAll('option')
+    .data(d3.range(3, 10))
+    .join('option')
+    .attr('value', d => d)
+    .text(d => d);
+  d3.select(paletteSelect).selectAll('option')
+    .data(Object.entries(MAP_PALETTES))
+    .join('option')
+    .attr('value', d => d[0])
+    .text(d => d[1].label);
 
-  const g = mapSvg
-    .attr("viewBox", `0 0 ${w} ${h}`)
-    .append("g");
+  methodSelect.value = mapClassing.method;
+  countSelect.value = mapClassing.classes;
+  paletteSelect.value = mapClassing.palette;
+  countSelect.disabled = mapClassing.method === 'continuous';
 
-  g.selectAll("path")
-    .data(counties)
-    .join("path")
-    .attr("d", path)
-    .attr("fill", d => {
-      const fips = getFipsFromFeature(d);
-      const row = byFips.get(fips);
-      if (!row) return "#f5f5f5";
-      // Use needs index color scale is set, otherwise depression color scale intially
-      const val = (row.NeedsIndex != null) ? row.NeedsIndex : row.DEPRESSION_AdjPrev;
-      return color(val);
-    })
-    .attr("data-county-name", d => {
-      const fips = getFipsFromFeature(d);
-      const row = byFips.get(fips);
-      return row ? row.CountyName : "";
-    })
-    // Add stroke if county is selected
-    .attr("stroke", d => {
-      const fips = getFipsFromFeature(d);
-      const row = byFips.get(fips);
-      return row && row.CountyName === selectedCountyName ? "#000" : "#fff";
-    })
-    .attr("stroke-width", d => {
-      const fips = getFipsFromFeature(d);
-      const row = byFips.get(fips);
-      return row && row.CountyName === selectedCountyName ? 3 : 0.5;
-    })
-    .style("cursor", "pointer")
-    .on("mouseover", function (event, d) {
-      const fips = getFipsFromFeature(d);
-      const row = byFips.get(fips);
-      if (!row) return;
-      const isSelected = row.CountyName === selectedCountyName;
-      // Keep the balck outline while selected
-      d3.select(this)
-        .attr("stroke-width", isSelected ? 3 : 2)
-        .attr("stroke", isSelected ? "#000" : "#333");
+  function update() {
+    mapClassing = { method: methodSelect.value, classes: +countSelect.value, palette: paletteSelect.value };
+    countSelect.disabled = mapClassing.method === 'continuous';
+    redrawCurrentMap();
+    updateUrlState();
+  }
+  [methodSelect, countSelect, paletteSelect].forEach(el => el.addEventListener('change', update));
+}
+
+
+// Redraw whichever map view is active so display settings like classing apply to it
+function redrawCurrentMap() {
+  if (bivariateFields) drawBivariateMap();
+  else if (lisaField) drawLisaMap();
+  else if (showRegionMap) drawRegionMap();
+  else if (modelMapView) drawModelMap();
+  else if (residualTab) drawResidualMap();
+  else if (showStabilityMap) drawStabilityMap();
+  else if (changeYears) drawChangeMap();
+  else drawBaseMap();
+}
 
-      tooltip
-        .style("opacity", 1)
-        .html(`
-          <strong>${row.CountyName} County</strong><br/>
-          Depression (age-adjusted): ${row.DEPRESSION_AdjPrev.toFixed(1)}%<br/>
-          Depression (crude): ${row.DEPRESSION_CrudePrev.toFixed(1)}%
-        `)
-        .style("left", (event.pageX + 10) + "px")
-        .style("top",  (event.pageY + 10) + "px");
-    })
-    .on("mousemove", (event) => {
-      tooltip
-        .style("left", (event.pageX + 10) + "px")
-        .style("top",  (event.pageY + 10) + "px");
-    })
-    .on("mouseout", function (event, d) {
-      const fips = getFipsFromFeature(d);
-      const row = byFips.get(fips);
-      const isSelected = row && row.CountyName === selectedCountyName;
-      d3.select(this)
-        .attr("stroke-width", isSelected ? 3 : 0.5)
-        .attr("stroke", isSelected ? "#000" : "#fff");
-      tooltip.style("opacity", 0);
-    })
-    .on("click", (event, d) => {
-      const fips = getFipsFromFeature(d);
-      const row = byFips.get(fips);
-      if (row) {
-        updateCountyDetails(row);
-        highlightScatter(row.CountyName);
-      }
-    });
 
-  drawColorLegend(g, color, legendExtent, w, h, legendTitle);
+// Turn a continuous map scale into the user's chosen palette and, unless classing is continuous,
+// a threshold scale with per-class value ranges and county counts for the legend.
+function classifyMapColors(color, values) {
+  const palette = MAP_PALETTES[mapClassing.palette];
+  const interpolator = palette && palette.interpolator ? palette.interpolator : color.interpolator();
+  const ramp = color.copy().interpolator(interpolator);
+  if (mapClassing.method === 'continuous' || !values.length) return { color: ramp, classes: null };
+
+  // Tied values can leave fewer breaks than asked for, so the class count follows the breaks
+  const breaks = classBreaks(mapClassing.method, values, mapClassing.classes);
+  const k = breaks.length + 1;
+  const colors = d3.range(k).map(i => interpolator(k === 1 ? 0.5 : (i + 0.5) / k));
+  const threshold = d3.scaleThreshold().domain(breaks).range(colors);
+  const [min, max] = d3.extent(values);
+  // Open-ended first and last classes, since standard deviation breaks can fall outside the data
+  const classes = colors.map((c, i) => ({
+    color: c,
+    label: k === 1 ? (min === max ? min.toFixed(1) : `${min.toFixed(1)}–${max.toFixed(1)}`)
+      : i === 0 ? `< ${breaks[0].toFixed(1)}`
+      : i === k - 1 ? `≥ ${breaks[k - 2].toFixed(1)}`
+      : `${breaks[i - 1].toFixed(1)}–${breaks[i].toFixed(1)}`,
+    count: values.filter(v => d3.bisectRight(breaks, v) === i).length
+  }));
+  return { color: threshold, classes };
 }
 
 
 // Draw color legend above the map 
-function drawColorLegend(g, color, legendExtent, mapWidth, mapHeight, title) {
+// When classes are given, draws one swatch per class with its value range and county count instead of the ramp.
+function drawColorLegend(g, color, legendExtent, mapWidth, mapHeight, title, classes) {
   const legendWidth = 300;
   const legendHeight = 18;
   const tickCount = 5;
@@ -456,6 +3389,51 @@ function drawColorLegend(g, color, legendExtent, mapWidth, mapHeight, title) {
   });
 
   const htmlLegend = document.getElementById('map-legend');
+  // State the classing method in the title so exported or published maps carry it
+  const method = classes
+    ? `${CLASSING_METHODS[mapClassing.method]}, ${classes.length} classes`
+    : CLASSING_METHODS.continuous;
+  if (htmlLegend && classes) {
+    htmlLegend.innerHTML = '';
+    const svg = d3.select(htmlLegend).append('svg')
+      .attr('viewBox', `0 0 ${legendWidth + 40} ${legendHeight + 52}`)
+      .attr('width', '100%')
+      .attr('height', legendHeight + 52);
+    const g2 = svg.append('g').attr('transform', `translate(20,20)`);
+    const swatchWidth = legendWidth / classes.length;
+
+    g2.append('text')
+      .attr('x', legendWidth / 2)
+      .attr('y', -6)
+      .attr('text-anchor', 'middle')
+      .style('font-size', '12px')
+      .style('font-weight', 'bold')
+      .text(`${title || 'Legend'} (${method})`);
+
+    classes.forEach((c, i) => {
+      g2.append('rect')
+        .attr('x', i * swatchWidth)
+        .attr('width', swatchWidth)
+        .attr('height', legendHeight)
+        .style('fill', c.color)
+        .style('stroke', '#333')
+        .style('stroke-width', 1);
+      g2.append('text')
+        .attr('x', (i + 0.5) * swatchWidth)
+        .attr('y', legendHeight + 12)
+        .attr('text-anchor', 'middle')
+        .style('font-size', '8px')
+        .text(c.label);
+      g2.append('text')
+        .attr('x', (i + 0.5) * swatchWidth)
+        .attr('y', legendHeight + 23)
+        .attr('text-anchor', 'middle')
+        .style('font-size', '8px')
+        .style('fill', '#555')
+        .text(`n=${c.count}`);
+    });
+    return;
+  }
   if (htmlLegend) {
     htmlLegend.innerHTML = '';
     const svg = d3.select(htmlLegend).append('svg')
@@ -487,7 +3465,7 @@ function drawColorLegend(g, color, legendExtent, mapWidth, mapHeight, title) {
       .attr('text-anchor', 'middle')
       .style('font-size', '12px')
       .style('font-weight', 'bold')
-      .text(title || 'Legend');
+      .text(`${title || 'Legend'} (${method})`);
 
     // Add legend ticks and labels to indicate scale values
     const tickValues = d3.range(tickCount).map(i => d3.interpolateNumber(legendExtent[0], legendExtent[1])(i / (tickCount - 1)));
@@ -521,64 +3499,631 @@ function drawColorLegend(g, color, legendExtent, mapWidth, mapHeight, title) {
 }
 
 
+// Count how many other counties' age-adjusted intervals overlap this county's interval
+function describeCIOverlap(row) {
+  if (isNaN(row.OutcomeLow) || isNaN(row.OutcomeHigh)) return 'N/A';
+  const others = scatterData.filter(d => d.CountyName !== row.CountyName && !isNaN(d.OutcomeLow));
+  const overlapping = others.filter(d => d.OutcomeLow <= row.OutcomeHigh && d.OutcomeHigh >= row.OutcomeLow);
+  const wide = uncertainCIThreshold != null && row.OutcomeCIWidth > uncertainCIThreshold;
+  return `overlaps ${overlapping.length} of ${others.length} counties` + (wide ? ' <span style="color:#b45309;">(wide interval)</span>' : '');
+}
+
+// Put the details panel back to its prompt when no county is selected
+function resetCountyDetails() {
+  detailsTitle.text('County Details');
+  d3.select('#select-neighbors').property('disabled', true);
+  detailsBox.text(`Click a county on the map to see its ${manifest.outcome.shortLabel || manifest.outcome.label.toLowerCase()} rate and demographics.`);
+}
+
+
 // Update details panel with selected county stats
-//Update county details panel with selected county stats and add info icons for each statistic
 function updateCountyDetails(row) {
   detailsTitle.text(`${row.CountyName} County`);
+  d3.select('#select-neighbors').property('disabled', false);
+  announce(`${row.CountyName} County selected`);
+  const { outcome, secondaryOutcome, predictors } = manifest;
+  const info = text => `<span class="info-icon" tabindex="0" style="margin-left:4px;">i<span class="info-tooltip">${escapeHtml(text)}</span></span>`;
+  const ciText = (low, high, format) => `<span style="color:#555;">(${formatCI(low, high, format)})</span>`;
+  const componentNames = needsComponentList.map(c => c.shortLabel.toLowerCase()).join(', ');
   detailsBox.html(`
-    <p><strong>Needs index:</strong> ${row.NeedsIndex != null ? row.NeedsIndex.toFixed(2) + '/10' : 'N/A'} <span class="info-icon" style="margin-left:4px;">i<span class="info-tooltip">Custom composite score (0-10) combining income, education, depression, and poverty rates. Higher values indicate greater need.</span></span></p>
-    <p><strong>Depression (age-adjusted):</strong> ${row.DEPRESSION_AdjPrev.toFixed(1)}% <span class="info-icon" style="margin-left:4px;">i<span class="info-tooltip">Percentage of adults with depression, adjusted for age distribution to allow fair comparison across counties.</span></span></p>
-    <p><strong>Depression (crude):</strong> ${row.DEPRESSION_CrudePrev.toFixed(1)}% <span class="info-icon" style="margin-left:4px;">i<span class="info-tooltip">Raw percentage of adults with depression, not adjusted for age differences between counties.</span></span></p>
-    <p><strong>Total population:</strong> ${row.TotalPopulation.toLocaleString()} <span class="info-icon" style="margin-left:4px;">i<span class="info-tooltip">Total number of residents in the county.</span></span></p>
-    <p><strong>Median income:</strong> $${row.MedianIncome.toLocaleString()} <span class="info-icon" style="margin-left:4px;">i<span class="info-tooltip">Middle value of household income, where half of households earn more and half earn less.</span></span></p>
-    <p><strong>Poverty rate:</strong> ${row.PovertyRate.toFixed(1)}% <span class="info-icon" style="margin-left:4px;">i<span class="info-tooltip">Percentage of population living below the federal poverty threshold.</span></span></p>
-    <p><strong>Bachelor's degree or higher:</strong> ${row.BAplusPercent.toFixed(1)}% <span class="info-icon" style="margin-left:4px;">i<span class="info-tooltip">Percentage of adults (25+) who have completed at least a bachelor's degree.</span></span></p>
+    <p><strong>Needs index:</strong> ${!isNaN(row.NeedsIndex) ? row.NeedsIndex.toFixed(2) + '/10' : 'N/A'} ${info(`Custom composite score (0-10) combining ${componentNames}. Higher values indicate greater need.`)}</p>
+    <p><strong>${escapeHtml(outcome.label)}:</strong> ${formatMetric(outcome.format, row.Outcome)} ${ciText(row.OutcomeLow, row.OutcomeHigh)} ${info(outcome.description || outcome.label)}</p>
+    ${secondaryOutcome ? `<p><strong>${escapeHtml(secondaryOutcome.label)}:</strong> ${formatMetric(secondaryOutcome.format, row.Secondary)} ${ciText(row.SecondaryLow, row.SecondaryHigh)} ${info(secondaryOutcome.description || secondaryOutcome.label)}</p>` : ''}
+    ${hasAffectedCounts() ? `<p><strong>${escapeHtml(affectedLabel())}:</strong> ${formatMetric('count', row.AffectedAdults)} ${ciText(row.AffectedLow, row.AffectedHigh, v => formatMetric('count', v))} ${info(affectedDescription())}</p>` : ''}
+    <p><strong>Interval overlap:</strong> ${describeCIOverlap(row)} ${info(`Counties whose ${outcome.label.toLowerCase()} 95% confidence intervals overlap cannot be reliably ranked against each other.`)}</p>
+    ${datasetYears ? `<p><strong>Trend:</strong> <svg class="trend-sparkline" role="img"></svg> <span class="trend-text"></span> ${info(`${outcome.label} in each release year. The shaded band is the 95% confidence interval and the black dot is the year shown.`)}</p>` : ''}
+    <p><strong>Total population:</strong> ${row.TotalPopulation.toLocaleString()} ${info('Total number of residents in the county.')}</p>
+    ${predictors.map(p => `<p><strong>${escapeHtml(p.label)}:</strong> ${formatMetric(p.format, row[p.column])} ${info(p.description || p.label)}</p>`).join('')}
+    <div class="peer-finder" style="margin-top:8px;">
+      <button type="button" class="find-peers" style="padding:4px 8px; border:1px solid #ccc; background:white; cursor:pointer;">Find peers</button>
+      <label style="font-size:12px;">Peers: <input type="number" class="peer-count" min="1" max="${MAX_PEERS}" value="${peerCount}" style="width:44px;"></label>
+      ${info(`Finds the counties most like this one on ${peerFeatures().map(f => f.label.toLowerCase()).join(', ')}. Each measure is converted to standard deviations from the state average so they count equally, and population is compared on a log scale. The county and its peers become the selection on the map and in the graphs, so you can benchmark it against similar counties instead of the whole state.`)}
+      <div class="peer-results"></div>
+    </div>
   `);
-  
+
+  detailsBox.select('.find-peers').on('click', () => {
+    const count = Math.round(+detailsBox.select('.peer-count').property('value'));
+    peerCount = Math.min(MAX_PEERS, Math.max(1, count || peerCount));
+    detailsBox.select('.peer-count').property('value', peerCount);
+    showPeers(row);
+  });
+
+  // Trend across release years, e.g. "2021: 19.9% → 2023: 22.3% (+2.4 pts)"
+  if (datasetYears) {
+    const points = drawTrendSparkline(detailsBox.select('.trend-sparkline'), row.CountyFIPS);
+    const first = points[0];
+    const last = points[points.length - 1];
+    const trendText = points.length < 2 ? 'Only one year of data'
+      : `${first.year}: ${formatMetric(outcome.format, first.row.Outcome)} → ${last.year}: ${formatMetric(outcome.format, last.row.Outcome)} ` +
+        `(${d3.format('+.1f')(last.row.Outcome - first.row.Outcome)} pts)`;
+    detailsBox.select('.trend-text').text(trendText);
+    detailsBox.select('.trend-sparkline').attr('aria-label', `${outcome.label} trend, ${trendText}`);
+  }
+
   //Set up tooltip positioning for dynamically added info icons
   const newInfoIcons = detailsBox.node().querySelectorAll('.info-icon');
   newInfoIcons.forEach(icon => {
     const tooltip = icon.querySelector('.info-tooltip');
     if (tooltip) {
-      icon.addEventListener('mouseenter', function() {
+      ['mouseenter', 'focus'].forEach(type => icon.addEventListener(type, function() {
         requestAnimationFrame(() => {
           if (window.positionTooltip) {
             window.positionTooltip(icon, tooltip);
           }
         });
-      });
+      }));
     }
   });
 }
 
 
-// Draw scatterplots graph/ outline for all three factors vs depression and align vertically
+// The measures peers are matched on: every predictor and the population, logged since county sizes span orders
+// of magnitude
+function peerFeatures() {
+  return [
+    ...manifest.predictors.map(p => ({ label: p.label, value: d => d[p.column] })),
+    { label: 'Population', value: d => Math.log10(d.TotalPopulation) }
+  ];
+}
+
+
+// The peerCount counties most similar to a county in the year shown, nearest first
+function findPeers(row) {
+  const { rows } = mapContext;
+  const target = rows.find(d => d.CountyName === row.CountyName);
+  if (!target) return [];
+  return nearestRows(rows, target, peerFeatures().map(f => f.value), peerCount);
+}
+
+
+// List a county's peers with their outcome rates under its details and select the county and its peers, so they are
+// highlighted on the map and in the scatterplots and summarized below the map
+function showPeers(row) {
+  const container = detailsBox.select('.peer-results');
+  const peers = findPeers(row);
+  if (!peers.length) {
+    container.html('<p style="margin:6px 0 0 0; font-size:12px; color:#b45309;">This county is missing a measure peers are matched on.</p>');
+    return;
+  }
+  const { outcome } = manifest;
+  const target = mapContext.rows.find(d => d.CountyName === row.CountyName);
+  const peerRate = populationWeightedMean(peers.map(p => p.row), 'Outcome');
+  const difference = target.Outcome - peerRate;
+  const differenceText = outcome.format === 'percent'
+    ? `${difference >= 0 ? '+' : '−'}${Math.abs(difference).toFixed(1)} pts`
+    : `${difference >= 0 ? '+' : '−'}${formatMetric(outcome.format, Math.abs(difference))}`;
+  // A peer whose interval doesn't overlap the county's is clearly higher or lower
+  const versus = peer => {
+    const overlap = ciOverlap(target, peer);
+    if (overlap == null || overlap) return '';
+    return peer.Outcome > target.Outcome ? 'clearly higher' : 'clearly lower';
+  };
+  const cellStyle = 'padding:3px 6px;';
+
+  container.html(`
+    <p style="margin:6px 0 4px 0;"><strong>${escapeHtml(row.CountyName)} vs its ${peers.length} peers:</strong> ${formatMetric(outcome.format, target.Outcome)} vs ${formatMetric(outcome.format, peerRate)} (${differenceText}, peers weighted by adult population)</p>
+    <table style="width:100%; border-collapse:collapse; font-size:12px;">
+      <caption class="visually-hidden">Peer counties of ${escapeHtml(row.CountyName)} County, most similar first</caption>
+      <thead><tr>
+        <th scope="col" style="text-align:left; ${cellStyle}">Peer</th>
+        <th scope="col" style="text-align:right; ${cellStyle}">${escapeHtml(outcome.label)}</th>
+        <th scope="col" style="text-align:right; ${cellStyle}">Distance</th>
+        <th scope="col" style="text-align:left; ${cellStyle}">vs ${escapeHtml(row.CountyName)}</th>
+      </tr></thead>
+      <tbody>${peers.map(({ row: peer, distance }) => `
+        <tr style="border-top:1px solid #eee;">
+          <th scope="row" style="text-align:left; font-weight:normal; ${cellStyle}"><button type="button" class="peer-county" data-county="${escapeHtml(peer.CountyName)}" style="padding:0; border:none; background:none; color:#2563eb; text-decoration:underline; cursor:pointer; font:inherit;">${escapeHtml(peer.CountyName)}</button></th>
+          <td style="text-align:right; ${cellStyle}">${formatMetric(outcome.format, peer.Outcome)} <span style="color:#555;">(${formatCI(peer.OutcomeLow, peer.OutcomeHigh)})</span></td>
+          <td style="text-align:right; ${cellStyle}">${distance.toFixed(2)}</td>
+          <td style="${cellStyle}">${versus(peer)}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>
+    <p style="margin:4px 0 0 0; font-size:11px; color:#888;">Distance is in standard deviations across the matched measures; smaller is more similar. "Clearly" means the 95% confidence intervals don't overlap.</p>
+  `);
+
+  // A peer's name selects that county instead
+  container.selectAll('.peer-county').on('click', function () {
+    const peer = mapContext.rows.find(d => d.CountyName === this.dataset.county);
+    if (!peer) return;
+    updateCountyDetails(peer);
+    selectCounty(peer.CountyName);
+    zoomToCounty(peer.CountyName);
+    updateUrlState();
+  });
+
+  // Pinned counties take over the highlights in compare mode, so leave it
+  if (store.get('selectionMode') === 'compare') setSelectionMode('individual');
+  selectCountySet(new Set([row.CountyName, ...peers.map(p => p.row.CountyName)]));
+  announce(`${peers.length} peers of ${row.CountyName} County selected: ${peers.map(p => p.row.CountyName).join(', ')}`);
+}
+
+
+// Title the page from the manifest, fill the residual fit choices with its predictors and label the estimated-adults control
+function setupDatasetLabels() {
+  document.title = `${manifest.title} Dashboard (D3)`;
+  d3.select('#map-title-text').text(manifest.title);
+  d3.select('#residual-field').selectAll('option.predictor-fit')
+    .data(Object.entries(scatterConfigs))
+    .join('option')
+    .attr('class', 'predictor-fit')
+    .attr('value', d => d[0])
+    .text(d => `${d[1].shortLabel} fit`);
+  updateAffectedSymbolControls();
+}
+
+
+// Create one scatter panel per manifest predictor, above the model panel in the graphs tab
+function buildScatterPanels() {
+  const scroll = document.getElementById('graphs-scroll');
+  if (!scroll) return;
+  const before = document.getElementById('model-panel');
+  Object.keys(scatterConfigs).forEach(key => {
+    const panel = document.createElement('div');
+    panel.className = 'scatter-panel';
+    panel.id = `scatter-${key}`;
+    panel.innerHTML = `<svg id="scatter-${escapeHtml(key)}-svg"></svg>
+      <details class="data-table"><summary>Show as a table</summary></details>`;
+    scroll.insertBefore(panel, before);
+    scatterSvgs[key] = d3.select(panel).select('svg');
+  });
+  store.set({ currentTab: Object.keys(scatterConfigs)[0] || null });
+}
+
+// Scatter point radius: the same for every county, or with the area proportional to adult population
+function scatterPointRadius(rows) {
+  if (!sizeScatterByPopulation) return () => 4;
+  const radius = d3.scaleSqrt().domain([0, d3.max(rows, d => d.TotalPop18plus) || 1]).range([0, 14]);
+  return d => Math.max(2, radius(d.TotalPop18plus) || 0);
+}
+
+// Draw scatterplots graph/ outline for every predictor vs the outcome and align vertically
 function drawAllScatters(rows) {
   scatterData = rows;
-  
-  drawScatter(rows, "income", scatterSvgs.income, {
-    xField: "MedianIncome",
-    xLabel: "Median household income",
-    xFormat: d => `$${(d/1000).toFixed(0)}k`,
-    xValue: d => d.MedianIncome,
-    tooltipValue: d => `$${d.MedianIncome.toLocaleString()}`
+  Object.entries(scatterConfigs).forEach(([tabName, config]) => {
+    drawScatter(rows, tabName, scatterSvgs[tabName], config);
   });
-  
-  drawScatter(rows, "poverty", scatterSvgs.poverty, {
-    xField: "PovertyRate",
-    xLabel: "Poverty rate (%)",
-    xFormat: d => d + "%",
-    xValue: d => d.PovertyRate,
-    tooltipValue: d => `${d.PovertyRate.toFixed(1)}%`
+}
+
+
+// Redraw the scatterplots and restore the brush visibility and highlights they had
+function refreshScatters() {
+  drawAllScatters(scatterData);
+  updateBrushOverlays();
+  renderSelection();
+}
+
+
+// Fit the outcome against one scatterplot's x variable, weighting by adult population when that option is on
+function fitOutcome(rows, xValue) {
+  const valid = rows.filter(d => !isNaN(xValue(d)) && !isNaN(d.Outcome));
+  if (valid.length < 3) return null;
+  const fit = linearFit(
+    valid.map(xValue),
+    valid.map(d => d.Outcome),
+    weightFitByPopulation ? valid.map(populationWeight) : null
+  );
+  return Object.assign(fit, { rows: valid });
+}
+
+
+// Wire up the regression fit toggles and the residual map selector
+function setupRegressionControls() {
+  const fitToggle = document.getElementById('toggle-fit');
+  const weightToggle = document.getElementById('toggle-fit-weighted');
+  const sizeToggle = document.getElementById('toggle-size-population');
+  const residualSelect = document.getElementById('residual-field');
+  if (!fitToggle || !weightToggle || !sizeToggle || !residualSelect) return;
+
+  fitToggle.addEventListener('change', () => {
+    showRegressionFit = fitToggle.checked;
+    refreshScatters();
+    updateUrlState();
   });
-  
-  drawScatter(rows, "education", scatterSvgs.education, {
-    xField: "BAplusPercent",
-    xLabel: "Bachelor's degree or higher (%)",
-    xFormat: d => d + "%",
-    xValue: d => d.BAplusPercent,
-    tooltipValue: d => `${d.BAplusPercent.toFixed(1)}%`
+  weightToggle.addEventListener('change', () => {
+    weightFitByPopulation = weightToggle.checked;
+    refreshScatters();
+    if (residualTab) drawResidualMap();
+    updateUrlState();
+  });
+  sizeToggle.addEventListener('change', () => {
+    sizeScatterByPopulation = sizeToggle.checked;
+    refreshScatters();
+    updateUrlState();
+  });
+  residualSelect.addEventListener('change', () => {
+    const tab = residualSelect.value || null;
+    clearMapOverlays();
+    residualTab = tab;
+    residualSelect.value = tab || '';
+    if (residualTab) drawResidualMap();
+    else drawBaseMap();
+    updateUrlState();
+  });
+}
+
+
+// Turn off the residual and model map views, e.g. when another control takes over the map coloring
+function clearMapOverlays() {
+  residualTab = null;
+  modelMapView = null;
+  bivariateFields = null;
+  lisaField = null;
+  showRegionMap = false;
+  showStabilityMap = false;
+  changeYears = null;
+  const stabilityToggle = document.getElementById('toggle-stability-map');
+  if (stabilityToggle) stabilityToggle.checked = false;
+  const bivariateToggle = document.getElementById('toggle-bivariate');
+  if (bivariateToggle) bivariateToggle.checked = false;
+  const lisaToggle = document.getElementById('toggle-lisa');
+  if (lisaToggle) lisaToggle.checked = false;
+  const lisaSummary = document.getElementById('lisa-summary');
+  if (lisaSummary) lisaSummary.textContent = '';
+  const regionToggle = document.getElementById('toggle-region-map');
+  if (regionToggle) regionToggle.checked = false;
+  const regionSummary = document.getElementById('region-summary');
+  if (regionSummary) regionSummary.style.display = 'none';
+  const residualSelect = document.getElementById('residual-field');
+  if (residualSelect) residualSelect.value = '';
+  const modelSelect = document.getElementById('model-map-view');
+  if (modelSelect) modelSelect.value = '';
+  const changeToggle = document.getElementById('toggle-change');
+  if (changeToggle) changeToggle.checked = false;
+  const changeSummary = document.getElementById('change-summary');
+  if (changeSummary) changeSummary.textContent = '';
+}
+
+
+// Redraw the map with its default coloring: the Needs Index once it has been applied, otherwise the outcome
+function drawBaseMap() {
+  if (!mapContext) return;
+  const { rows, counties, byFips, getFipsFromFeature, path, colorOutcome, outcomeExtent, colorNeeds } = mapContext;
+  if (rows.some(d => !isNaN(d.NeedsIndex))) {
+    drawMap(counties, byFips, getFipsFromFeature, path, colorNeeds, colorNeeds.domain(), 'Needs Index (0-10)');
+  } else {
+    drawMap(counties, byFips, getFipsFromFeature, path, colorOutcome, outcomeExtent, outcomeTitle());
+  }
+}
+
+
+// Fit the outcome against the checked model predictors, using only counties with every value present
+function fitOutcomeModel(rows) {
+  const predictors = modelPredictors.filter(p => modelPredictorKeys.includes(p.key));
+  if (!predictors.length) return null;
+  const valid = rows.filter(d => !isNaN(d.Outcome) && predictors.every(p => isFinite(p.value(d))));
+  const model = multipleRegression(
+    valid.map(d => predictors.map(p => p.value(d))),
+    valid.map(d => d.Outcome),
+    predictors.map(p => p.label)
+  );
+  if (!model) return null;
+  return Object.assign(model, { rows: valid });
+}
+
+
+// Build the predictor checkboxes for the model panel and refit whenever they or the map view change
+function setupModelPanel() {
+  const container = document.getElementById('model-predictors');
+  const mapSelect = document.getElementById('model-map-view');
+  if (!container || !mapSelect) return;
+  modelPredictorKeys = modelPredictors.filter(p => p.checked).map(p => p.key);
+
+  d3.select(container).selectAll('label')
+    .data(modelPredictors)
+    .join('label')
+    .each(function(p) {
+      const input = d3.select(this).append('input')
+        .attr('type', 'checkbox')
+        .property('checked', modelPredictorKeys.includes(p.key))
+        .on('change', function() {
+          modelPredictorKeys = modelPredictors
+            .filter(q => q.key === p.key ? this.checked : modelPredictorKeys.includes(q.key))
+            .map(q => q.key);
+          updateModelPanel();
+          if (modelMapView) drawModelMap();
+          updateUrlState();
+        });
+      d3.select(this).append('span').text(' ' + p.label);
+      return input;
+    });
+
+  mapSelect.addEventListener('change', () => {
+    const view = mapSelect.value || null;
+    clearMapOverlays();
+    modelMapView = view;
+    mapSelect.value = view || '';
+    if (modelMapView) drawModelMap();
+    else drawBaseMap();
+    updateUrlState();
+  });
+
+  updateModelPanel();
+}
+
+
+// Show the model's coefficients, standard errors and fit statistics
+function updateModelPanel() {
+  const results = document.getElementById('model-results');
+  if (!results || !mapContext) return;
+  const model = fitOutcomeModel(mapContext.rows);
+  if (!model) {
+    results.innerHTML = '<p style="margin:0; font-size:12px; color:#555;">Check at least one predictor to fit the model.</p>';
+    return;
+  }
+  const rows = model.coefficients.map(c => `
+    <tr style="border-top:1px solid #eee;">
+      <td style="padding:3px 6px;">${escapeHtml(c.name)}</td>
+      <td style="text-align:right; padding:3px 6px;">${c.estimate.toFixed(3)}</td>
+      <td style="text-align:right; padding:3px 6px;">${c.se.toFixed(3)}</td>
+      <td style="text-align:right; padding:3px 6px;">${c.t.toFixed(2)}</td>
+      <td style="text-align:right; padding:3px 6px;">${c.pValue < 0.001 ? '< 0.001' : c.pValue.toFixed(3)}</td>
+    </tr>`).join('');
+  results.innerHTML = `
+    <table style="width:100%; border-collapse:collapse; font-size:12px;">
+      <thead><tr>
+        <th style="text-align:left; padding:3px 6px;">Term</th>
+        <th style="text-align:right; padding:3px 6px;">Coef.</th>
+        <th style="text-align:right; padding:3px 6px;">Std. err.</th>
+        <th style="text-align:right; padding:3px 6px;">t</th>
+        <th style="text-align:right; padding:3px 6px;">p</th>
+      </tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <p style="margin:6px 0 0 0; font-size:11px; color:#555;">R² = ${model.rSquared.toFixed(2)} · adjusted R² = ${model.adjRSquared.toFixed(2)} · n = ${model.n} · outcome: ${escapeHtml(outcomeTitle())}</p>
+  `;
+}
+
+
+// Color the map by the model's predicted outcome rate or by its residuals
+function drawModelMap() {
+  if (!mapContext || !modelMapView) return;
+  const model = fitOutcomeModel(mapContext.rows);
+  const { counties, byFips, getFipsFromFeature, path } = mapContext;
+  if (!model) {
+    drawBaseMap();
+    return;
+  }
+  if (modelMapView === 'predicted') {
+    const predicted = new Map(model.rows.map((d, i) => [d.CountyName, model.fitted[i]]));
+    const extent = d3.extent(predicted.values());
+    const color = d3.scaleSequential(d3.interpolateReds).domain(extent);
+    drawMap(counties, byFips, getFipsFromFeature, path, color, extent, `Model-predicted ${manifest.outcome.shortLabel || manifest.outcome.label}`, { valueFor: row => predicted.get(row.CountyName) });
+  } else {
+    const residuals = new Map(model.rows.map((d, i) => [d.CountyName, d.Outcome - model.fitted[i]]));
+    const maxAbs = d3.max(residuals.values(), v => Math.abs(v)) || 1;
+    const color = d3.scaleDiverging(t => d3.interpolateRdBu(1 - t)).domain([-maxAbs, 0, maxAbs]);
+    drawMap(counties, byFips, getFipsFromFeature, path, color, [-maxAbs, maxAbs], 'Model residual (pts)', { valueFor: row => residuals.get(row.CountyName) });
+  }
+}
+
+
+// Color the map by each county's residual from the selected scatterplot's fit. Red counties are more depressed than the fit predicts.
+function drawResidualMap() {
+  if (!mapContext || !residualTab) return;
+  const config = scatterConfigs[residualTab];
+  const fit = fitOutcome(mapContext.rows, config.xValue);
+  if (!fit) return;
+  const residuals = new Map(fit.rows.map(d => [d.CountyName, d.Outcome - fit.predict(config.xValue(d))]));
+  const maxAbs = d3.max(residuals.values(), v => Math.abs(v)) || 1;
+  const color = d3.scaleDiverging(t => d3.interpolateRdBu(1 - t)).domain([-maxAbs, 0, maxAbs]);
+  const { counties, byFips, getFipsFromFeature, path } = mapContext;
+  drawMap(counties, byFips, getFipsFromFeature, path, color, [-maxAbs, maxAbs],
+    `Residual vs ${config.shortLabel} fit (pts)`, { valueFor: row => residuals.get(row.CountyName) });
+}
+
+
+// The year shown first: the one whose file is the manifest's csv, otherwise the latest
+function defaultYear(years) {
+  const list = [...years.keys()];
+  return list.find(year => manifest.years[year] === manifest.csv) ?? list[list.length - 1];
+}
+
+
+// Wire up the year slider and the change map controls. They stay hidden for a single-year dataset.
+function setupYearControls() {
+  const slider = document.getElementById('year-slider');
+  const toggle = document.getElementById('toggle-change');
+  const fromSelect = document.getElementById('change-from');
+  const toSelect = document.getElementById('change-to');
+  if (!slider || !toggle || !fromSelect || !toSelect) return;
+
+  slider.addEventListener('input', () => setYear([...datasetYears.keys()][+slider.value]));
+
+  function update() {
+    const on = toggle.checked;
+    clearMapOverlays();
+    if (!on || fromSelect.value === toSelect.value) {
+      drawBaseMap();
+      updateUrlState();
+      return;
+    }
+    toggle.checked = true;
+    changeYears = { from: fromSelect.value, to: toSelect.value };
+    drawChangeMap();
+    updateUrlState();
+  }
+  toggle.addEventListener('change', update);
+  [fromSelect, toSelect].forEach(select => select.addEventListener('change', () => { if (toggle.checked) update(); }));
+}
+
+
+// Match the year controls to the loaded years and the year on screen
+function updateYearControls() {
+  const controls = document.getElementById('year-controls');
+  if (!controls) return;
+  controls.style.display = datasetYears ? 'flex' : 'none';
+  if (!datasetYears) return;
+  const years = [...datasetYears.keys()];
+  const slider = document.getElementById('year-slider');
+  slider.max = years.length - 1;
+  slider.value = years.indexOf(currentYear);
+  slider.setAttribute('aria-valuetext', currentYear);
+  d3.select('#year-ticks').selectAll('option')
+    .data(years)
+    .join('option')
+    .attr('value', (year, i) => i)
+    .attr('label', year => year);
+  document.getElementById('year-label').textContent = currentYear;
+  ['change-from', 'change-to'].forEach((id, i) => {
+    const select = d3.select(`#${id}`);
+    const previous = select.property('value');
+    select.selectAll('option')
+      .data(years)
+      .join('option')
+      .attr('value', year => year)
+      .text(year => year);
+    // Default to the whole span, first year to last
+    select.property('value', years.includes(previous) ? previous : years[i === 0 ? 0 : years.length - 1]);
+  });
+}
+
+
+// Point every view at another release year's rows without redrawing. Selections are by county name, so they carry
+// over, and an applied Needs Index is recomputed with the same formula.
+function useYearRows(year) {
+  const rows = datasetYears.get(year);
+  currentYear = year;
+  mapContext.rows = rows;
+  mapContext.byFips = new Map(rows.map(d => [d.CountyFIPS, d]));
+  mapContext.regionGroupings = buildRegionGroupings(rows, mapContext.counties, mapContext.byFips);
+  scatterData = rows;
+  dataSource = { ...dataSource, csv: manifest.years[year] };
+  updateDataSourceLabel();
+  if (needsWeights) setNeedsWeights(needsWeights);
+
+  // Rank stability was sampled from the other year's values
+  needsSensitivity = null;
+  d3.select('#sensitivity-results').selectAll('*').remove();
+  const stabilityToggle = document.getElementById('toggle-stability-map');
+  if (stabilityToggle) stabilityToggle.disabled = true;
+  if (showStabilityMap) {
+    showStabilityMap = false;
+    stabilityToggle.checked = false;
+  }
+}
+
+
+// Show another release year in the map, scatterplots and details panel
+function setYear(year) {
+  if (!datasetYears || !datasetYears.has(year) || year === currentYear) return;
+  useYearRows(year);
+  updateYearControls();
+  setupRegionButtons();
+  updateCountySearchOptions();
+  redrawCurrentMap();
+  refreshScatters();
+  const selectedRow = mapContext.rows.find(d => d.CountyName === store.get('selectedCountyName'));
+  if (selectedRow) updateCountyDetails(selectedRow);
+  updateSelectionSummary();
+  updateComparePanel();
+  updateModelPanel();
+  announce(`Showing ${year}`);
+  updateUrlState();
+}
+
+
+// Percentage-point change in the outcome for each county between two years, keyed by FIPS code. A change is clear
+// when the two years' 95% CIs don't overlap; otherwise it could be sampling noise.
+function yearChanges(from, to) {
+  const fromByFips = new Map(datasetYears.get(from).map(d => [d.CountyFIPS, d]));
+  const changes = new Map();
+  datasetYears.get(to).forEach(b => {
+    const a = fromByFips.get(b.CountyFIPS);
+    if (!a || isNaN(a.Outcome) || isNaN(b.Outcome)) return;
+    changes.set(b.CountyFIPS, { from: a, to: b, change: b.Outcome - a.Outcome, clear: ciOverlap(a, b) === false });
   });
+  return changes;
+}
+
+
+// Color counties by how much the outcome rose (red) or fell (blue) between the two chosen years
+function drawChangeMap() {
+  if (!mapContext || !changeYears) return;
+  const { counties, byFips, getFipsFromFeature, path } = mapContext;
+  const { from, to } = changeYears;
+  const changes = yearChanges(from, to);
+  const maxAbs = d3.max(changes.values(), d => Math.abs(d.change)) || 1;
+  const color = d3.scaleDiverging(t => d3.interpolateRdBu(1 - t)).domain([-maxAbs, 0, maxAbs]);
+  const format = v => formatMetric(manifest.outcome.format, v);
+  const signed = d3.format('+.1f');
+
+  drawMap(counties, byFips, getFipsFromFeature, path, color, [-maxAbs, maxAbs],
+    `Change in ${manifest.outcome.shortLabel || manifest.outcome.label}, ${from} to ${to} (pts)`, {
+      valueFor: row => changes.get(row.CountyFIPS)?.change,
+      formatValue: row => {
+        const d = changes.get(row.CountyFIPS);
+        if (!d) return `Not in both ${from} and ${to}`;
+        return `${from}: ${format(d.from.Outcome)} → ${to}: ${format(d.to.Outcome)} (${signed(d.change)} pts)` +
+          (d.clear ? '<br/>The 95% CIs don\'t overlap' : '');
+      }
+    });
+
+  const values = [...changes.values()];
+  const up = values.filter(d => d.change > 0);
+  const clearUp = up.filter(d => d.clear).length;
+  const clearDown = values.filter(d => d.change < 0 && d.clear).length;
+  document.getElementById('change-summary').textContent =
+    `${up.length} of ${values.length} counties up; ${clearUp} clearly up and ${clearDown} clearly down (95% CIs don't overlap)`;
+}
+
+
+// A small line of one county's outcome in every release year, with its 95% CIs as a band and the shown year marked
+function drawTrendSparkline(svg, fips) {
+  const width = 120;
+  const height = 28;
+  const pad = 4;
+  const points = [...datasetYears]
+    .map(([year, rows]) => ({ year, row: rows.find(d => d.CountyFIPS === fips) }))
+    .filter(p => p.row && !isNaN(p.row.Outcome));
+  svg.attr('viewBox', `0 0 ${width} ${height}`).attr('width', width).attr('height', height)
+    .style('vertical-align', 'middle');
+  if (points.length < 2) return points;
+
+  const low = p => isNaN(p.row.OutcomeLow) ? p.row.Outcome : p.row.OutcomeLow;
+  const high = p => isNaN(p.row.OutcomeHigh) ? p.row.Outcome : p.row.OutcomeHigh;
+  const x = d3.scalePoint().domain(points.map(p => p.year)).range([pad, width - pad]);
+  const y = d3.scaleLinear().domain([d3.min(points, low), d3.max(points, high)]).range([height - pad, pad]);
+
+  svg.append('path')
+    .datum(points)
+    .attr('fill', '#fcbba1')
+    .attr('d', d3.area().x(p => x(p.year)).y0(p => y(low(p))).y1(p => y(high(p))));
+  svg.append('path')
+    .datum(points)
+    .attr('fill', 'none')
+    .attr('stroke', '#cb181d')
+    .attr('stroke-width', 1.5)
+    .attr('d', d3.line().x(p => x(p.year)).y(p => y(p.row.Outcome)));
+  svg.selectAll('circle')
+    .data(points)
+    .join('circle')
+    .attr('cx', p => x(p.year))
+    .attr('cy', p => y(p.row.Outcome))
+    .attr('r', p => p.year === currentYear ? 3 : 1.5)
+    .attr('fill', p => p.year === currentYear ? '#000' : '#cb181d');
+  return points;
 }
 
 
@@ -592,21 +4137,54 @@ function drawScatter(rows, tabName, svg, config) {
   const width  = fullWidth  - margin.left - margin.right;
   const height = fullHeight - margin.top  - margin.bottom;
 
-  const g = svg
+  svg
     .attr("viewBox", `0 0 ${fullWidth} ${fullHeight}`)
-    .append("g")
+    .attr("role", "group")
+    .attr("aria-label", `${outcomeTitle()} against ${config.xLabel}, one point per county. Use the arrow keys to move ` +
+      `between points, Enter to select one and Shift+Enter to add it to the selection. The same values are in the table below.`);
+
+  // Diagonal stripes filling the selected points
+  const defs = svg.append("defs");
+  const stripes = defs.append("pattern")
+    .attr("id", `${svg.attr("id")}-selected`)
+    .attr("patternUnits", "userSpaceOnUse")
+    .attr("patternTransform", "rotate(45)")
+    .attr("width", 3)
+    .attr("height", 3);
+  stripes.append("rect")
+    .attr("width", 3)
+    .attr("height", 3)
+    .attr("fill", "#f97316");
+  stripes.append("line")
+    .attr("y2", 3)
+    .attr("stroke", "#000")
+    .attr("stroke-width", 1.5);
+
+  const g = svg.append("g")
     .attr("transform", `translate(${margin.left},${margin.top})`);
 
+  // Plot area, so the fit band can't spill over the axes where it widens at the ends
+  const plotClip = `${svg.attr("id")}-plot`;
+  defs.append("clipPath")
+    .attr("id", plotClip)
+    .append("rect")
+    .attr("width", width)
+    .attr("height", height);
+
   const filtered = rows.filter(d =>
-    !isNaN(config.xValue(d)) && !isNaN(d.DEPRESSION_AdjPrev)
+    !isNaN(config.xValue(d)) && !isNaN(d.Outcome)
   );
 
   const x = d3.scaleLinear()
     .domain(d3.extent(filtered, config.xValue)).nice()
     .range([0, width]);
 
+  // Y domain covers the full error bars, not just the point estimates
   const y = d3.scaleLinear()
-    .domain(d3.extent(filtered, d => d.DEPRESSION_AdjPrev)).nice()
+    .domain([
+      d3.min(filtered, d => isNaN(d.OutcomeLow) ? d.Outcome : d.OutcomeLow),
+      d3.max(filtered, d => isNaN(d.OutcomeHigh) ? d.Outcome : d.OutcomeHigh)
+    ]).nice()
     .range([height, 0]);
 
   // Creates axes for scatterplots
@@ -622,7 +4200,7 @@ function drawScatter(rows, tabName, svg, config) {
     .call(
       d3.axisLeft(y)
         .ticks(5)
-        .tickFormat(d => d + "%")
+        .tickFormat(axisFormat(manifest.outcome.format))
     );
 
   // Creates axis labels for scatterplots
@@ -639,73 +4217,196 @@ function drawScatter(rows, tabName, svg, config) {
     .attr("y", -38)
     .attr("text-anchor", "middle")
     .style("font-size", 11)
-    .text("Depression (age-adjusted, %)");
+    .text(outcomeTitle());
 
-  g.selectAll("circle")
-    .data(filtered)
+  // Draw 95% CI error bars behind the points
+  g.append("g")
+    .attr("class", "error-bars")
+    .style("pointer-events", "none")
+    .selectAll("line")
+    .data(filtered.filter(d => !isNaN(d.OutcomeLow) && !isNaN(d.OutcomeHigh)))
+    .join("line")
+    .attr("class", "scatter-errorbar")
+    .attr("x1", d => x(config.xValue(d)))
+    .attr("x2", d => x(config.xValue(d)))
+    .attr("y1", d => y(d.OutcomeLow))
+    .attr("y2", d => y(d.OutcomeHigh))
+    .attr("stroke", "#9ca3af")
+    .attr("stroke-opacity", 0.5)
+    .attr("stroke-width", 1);
+
+  // Correlation and fit statistics shown under each panel
+  const fit = fitOutcome(filtered, config.xValue);
+  const panel = d3.select(svg.node().parentNode);
+  panel.selectAll(".scatter-stats").remove();
+  if (fit) {
+    const xs = fit.rows.map(config.xValue);
+    const ys = fit.rows.map(d => d.Outcome);
+    panel.insert("div", ".data-table")
+      .attr("class", "scatter-stats")
+      .style("font-size", "11px")
+      .style("color", "#555")
+      .style("padding", "4px 2px 0 2px")
+      .text(`Pearson r = ${pearson(xs, ys).toFixed(2)} · Spearman ρ = ${spearman(xs, ys).toFixed(2)} · ` +
+        `R² = ${fit.rSquared.toFixed(2)} · ${formatPValue(fit.pValue)} · n = ${fit.n}` +
+        (weightFitByPopulation ? " (population-weighted fit)" : ""));
+  }
+
+  // Draw the least-squares line and its 95% confidence band when the fit is turned on
+  if (showRegressionFit && fit) {
+    const xSteps = d3.range(51).map(i => x.invert((i / 50) * width));
+    g.append("path")
+      .datum(xSteps)
+      .attr("class", "fit-band")
+      .attr("clip-path", `url(#${plotClip})`)
+      .attr("fill", "#f59e0b")
+      .attr("fill-opacity", 0.2)
+      .style("pointer-events", "none")
+      .attr("d", d3.area()
+        .x(v => x(v))
+        .y0(v => y(fit.predict(v) - fit.bandHalfWidth(v)))
+        .y1(v => y(fit.predict(v) + fit.bandHalfWidth(v))));
+    g.append("path")
+      .datum(xSteps)
+      .attr("class", "fit-line")
+      .attr("clip-path", `url(#${plotClip})`)
+      .attr("fill", "none")
+      .attr("stroke", "#d97706")
+      .attr("stroke-width", 2)
+      .style("pointer-events", "none")
+      .attr("d", d3.line()
+        .x(v => x(v))
+        .y(v => y(fit.predict(v))));
+  }
+
+  const tooltipHtml = d => `
+    <strong>${escapeHtml(d.CountyName)} County</strong><br/>
+    ${escapeHtml(config.shortLabel)}: ${config.tooltipValue(d)}<br/>
+    ${outcomeTooltipLines(d)}
+    ${sizeScatterByPopulation ? `<br/>Adult population: ${formatMetric("count", d.TotalPop18plus)}` : ""}
+  `;
+
+  // Sized points go largest first, so small counties are drawn on top and stay clickable
+  const radius = scatterPointRadius(filtered);
+  const plotted = sizeScatterByPopulation
+    ? filtered.slice().sort((a, b) => d3.descending(a.TotalPop18plus, b.TotalPop18plus))
+    : filtered;
+  if (sizeScatterByPopulation) {
+    g.append("text")
+      .attr("x", width)
+      .attr("y", -6)
+      .attr("text-anchor", "end")
+      .style("font-size", 10)
+      .style("fill", "#555")
+      .text("Point area: adult population");
+  }
+
+  const points = g.selectAll("circle")
+    .data(plotted)
     .join("circle")
     .attr("class", `scatter-point scatter-${tabName}`)
     .attr("cx", d => x(config.xValue(d)))
-    .attr("cy", d => y(d.DEPRESSION_AdjPrev))
-    .attr("r", 4)
+    .attr("cy", d => y(d.Outcome))
+    .attr("r", radius)
+    .attr("data-radius", radius)
     .attr("fill", "#3182bd")
-    .attr("opacity", 0.8)
+    .attr("opacity", sizeScatterByPopulation ? 0.6 : 0.8)
+    .attr("role", "button")
+    .attr("aria-label", d => `${d.CountyName} County: ${tooltipText(tooltipHtml(d)).replace(/^[^;]*; /, "")}`)
+    .attr("aria-pressed", false)
     .style("cursor", "pointer")
     .on("mouseover", (event, d) => {
       tooltip
         .style("opacity", 1)
-        .html(`
-          <strong>${d.CountyName} County</strong><br/>
-          Depression (age-adjusted): ${d.DEPRESSION_AdjPrev.toFixed(1)}%<br/>
-          Depression (crude): ${d.DEPRESSION_CrudePrev.toFixed(1)}%
-        `)
+        .html(tooltipHtml(d))
         .style("left", (event.pageX + 10) + "px")
         .style("top",  (event.pageY + 10) + "px");
     })
     .on("mouseout", () => tooltip.style("opacity", 0))
+    .on("focus", function (event, d) { showTooltipBeside(this, tooltipHtml(d)); })
+    .on("blur", () => tooltip.style("opacity", 0))
     .on("click", (event, d) => {
+      const { isBrushing, selectionMode } = store.get();
       if (isBrushing) return;
+      if (selectionMode === 'compare') {
+        togglePinnedCounty(d.CountyName);
+        return;
+      }
+      if (event.shiftKey || event.ctrlKey || event.metaKey) {
+        toggleBrushedCounty(d.CountyName);
+        return;
+      }
       if (selectionMode !== 'individual') return;
       updateCountyDetails(d);
-      highlightScatter(d.CountyName);
+      selectCounty(d.CountyName);
+      updateUrlState();
     });
 
   // Allow users to brush to select multiple points
   const brush = d3.brush()
     .extent([[0, 0], [width, height]])
-    .on("start", () => { isBrushing = true; })
+    .on("start", () => store.set({ isBrushing: true }))
     .on("brush", (event) => {
       // Highlight selected points as brushing
       if (!event.selection) return;
       const [[x0, y0], [x1, y1]] = event.selection;
       const names = new Set(filtered.filter(d => {
         const cx = x(config.xValue(d));
-        const cy = y(d.DEPRESSION_AdjPrev);
+        const cy = y(d.Outcome);
         return cx >= x0 && cx <= x1 && cy >= y0 && cy <= y1;
       }).map(d => d.CountyName));
       updateScatterHighlightsByNames(names);
     })
     .on("end", (event) => {
-      isBrushing = false;
+      store.set({ isBrushing: false });
       if (!event.selection) {
         // Clear selection is clicked outside brush area
-        brushedCountyNames.clear();
-        updateScatterHighlightsByNames(brushedCountyNames);
+        selectCountySet(new Set());
         return;
       }
       const [[x0, y0], [x1, y1]] = event.selection;
       const names = new Set(filtered.filter(d => {
         const cx = x(config.xValue(d));
-        const cy = y(d.DEPRESSION_AdjPrev);
+        const cy = y(d.Outcome);
         return cx >= x0 && cx <= x1 && cy >= y0 && cy <= y1;
       }).map(d => d.CountyName));
       // Show brush selection across all scatterplots
-      brushedCountyNames = names;
-      updateScatterHighlightsByNames(brushedCountyNames);
+      selectCountySet(names);
     });
   g.append("g")
     .attr("class", "brush")
     .call(brush);
+
+  // Freehand alternative to the rectangle brush. A click without a drag clears the selection, like the brush.
+  const pointsIn = polygon => new Set(filtered
+    .filter(d => d3.polygonContains(polygon, [x(config.xValue(d)), y(d.Outcome)]))
+    .map(d => d.CountyName));
+  g.append("rect")
+    .attr("class", "lasso-area")
+    .attr("width", width)
+    .attr("height", height)
+    .attr("fill", "none")
+    .style("pointer-events", "all")
+    .style("cursor", "crosshair")
+    .call(lassoBehavior(g, {
+      onMove: (polygon, event) => updateScatterHighlightsByNames(lassoSelection(pointsIn(polygon), event)),
+      onEnd: (polygon, event) => selectCountySet(lassoSelection(pointsIn(polygon), event))
+    }));
+
+  makeKeyboardNavigable(points, d => [x(config.xValue(d)), y(d.Outcome)],
+    plotted.findIndex(d => d.CountyName === store.get('selectedCountyName')));
+
+  registerDataTable(tabName, panel.select(".data-table"), () => ({
+    caption: `${outcomeTitle()} and ${config.xLabel} by county`,
+    columns: ["County", config.xLabel, outcomeTitle(), "95% CI"],
+    rows: filtered
+      .slice()
+      .sort((a, b) => d3.ascending(a.CountyName, b.CountyName))
+      .map(d => ({
+        county: d.CountyName,
+        cells: [d.CountyName, config.tooltipValue(d), formatMetric(manifest.outcome.format, d.Outcome), formatCI(d.OutcomeLow, d.OutcomeHigh)]
+      }))
+  }));
 }
 
 
@@ -724,56 +4425,15 @@ function setupTabs() {
       panels.forEach(p => p.classList.remove("active"));
       document.getElementById(`scatter-${tabName}`).classList.add("active");
       
-      currentTab = tabName;
-      
-      if (selectedCountyName) {
-        highlightScatter(selectedCountyName);
-      }
+      store.set({ currentTab: tabName });
     });
   });
 }
 
 
-// Emphasize a selected county data point across all scatterplots and the map
-function highlightScatter(countyName) {
-  // allow clearing selection by passing a falsy countyName
-  if (!countyName) {
-    selectedCountyName = null;
-    // reset scatter points
-    Object.values(scatterSvgs).forEach(svg => {
-      svg.selectAll(".scatter-point")
-        .attr("fill", "#3182bd")
-        .attr("stroke", "none")
-        .attr("stroke-width", 0)
-        .attr("r", 4);
-    });
-    // reset map outlines
-    mapSvg.selectAll("path").each(function() {
-      d3.select(this)
-        .attr("stroke", "#fff")
-        .attr("stroke-width", 0.5);
-    });
-    return;
-  }
-  brushedCountyNames.clear();
-
-  selectedCountyName = countyName;
-
-  // Highlight in all scatterplots when a county is selected
-  Object.values(scatterSvgs).forEach(svg => {
-    svg.selectAll(".scatter-point")
-      .attr("fill", d => d.CountyName === countyName ? "#dc2626" : "#3182bd")
-      .attr("stroke", d => d.CountyName === countyName ? "#000" : "none")
-      .attr("stroke-width", d => d.CountyName === countyName ? 1.5 : 0)
-      .attr("r", d => d.CountyName === countyName ? 6 : 4);
-  });
-
-  mapSvg.selectAll("path").each(function() {
-    const el = d3.select(this);
-    const name = el.attr("data-county-name");
-    const isSel = name === countyName;
-    el.attr("stroke", isSel ? "#000" : "#fff")
-      .attr("stroke-width", isSel ? 3 : 0.5);
-  });
+// Make one county the selection, replacing any multi-county selection. A falsy name clears the selection.
+function selectCounty(countyName) {
+  const changes = { selectedCountyName: countyName || null };
+  if (store.get('brushedCountyNames').size) changes.brushedCountyNames = new Set();
+  store.set(changes);
 }
-
@@ -0,0 +1,233 @@
+// Dataset handling for the dashboard: cleaning CSV rows, joining them to boundary features by FIPS code, checking
+// files against a manifest and scoring the Needs Index. Pure functions of their arguments, using only the d3 global,
+// so the manifest and formula settings are passed in.
+//
+// The page loads this as a plain script. Node can require it too, once d3 is a global:
+//   globalThis.d3 = require('./js/vendor/d3.min.js');
+//   const { cleanRows, featureFips } = require('./js/data.js');
+
+// Parse a confidence interval string like "(16.7, 23.5)" into [low, high], or [NaN, NaN] if it can't be read
+function parseCI(value) {
+  const parts = String(value || "").replace(/[()]/g, "").split(",");
+  if (parts.length !== 2) return [NaN, NaN];
+  return [+parts[0], +parts[1]];
+}
+
+// Clean up the CSV values from data files and assign types. Manifest columns are copied onto the fixed field names the views use.
+// Reads the manifest columns each time, so running it again on rows that were already cleaned is harmless.
+function cleanRows(rows, manifest) {
+  const { outcome, secondaryOutcome, predictors } = manifest;
+  const rate = affectedRateField(manifest);
+  rows.forEach(d => {
+    d.CountyName      = d[manifest.nameColumn]; // county name
+    d.Outcome         = +d[outcome.column]; // outcome %, e.g. age-adjusted depression
+    d.TotalPopulation = +d[manifest.populationColumn]; // total population
+    d.TotalPop18plus  = +d[manifest.adultPopulationColumn]; // adult population
+    predictors.forEach(p => { d[p.column] = +d[p.column]; }); // predictor columns, e.g. median income
+    d.CountyFIPS      = countyFips(d[manifest.join.column], manifest); // county FIPS code: connects the counties from CSV to GeoJSON boundaries
+    // 95% confidence intervals ship as "(low, high)" strings, so split them into numeric bounds
+    [d.OutcomeLow, d.OutcomeHigh] = parseCI(d[outcome.ciColumn]);
+    d.OutcomeCIWidth = d.OutcomeHigh - d.OutcomeLow; // width of the outcome interval in percentage points
+    if (secondaryOutcome) {
+      d.Secondary = +d[secondaryOutcome.column]; // secondary measure, e.g. crude %
+      [d.SecondaryLow, d.SecondaryHigh] = parseCI(d[secondaryOutcome.ciColumn]);
+    }
+    // Estimated adults with the outcome: the rate applied to the adult population, with its interval scaled the same way
+    if (rate) {
+      d.AffectedAdults = d[rate] / 100 * d.TotalPop18plus;
+      d.AffectedLow = d[rate + "Low"] / 100 * d.TotalPop18plus;
+      d.AffectedHigh = d[rate + "High"] / 100 * d.TotalPop18plus;
+    }
+  });
+}
+
+// The field estimated adult counts are worked out from: the secondary outcome when it is a percentage, since that is
+// the crude rate among the county's own adults, otherwise the outcome. Null when neither is a percentage.
+function affectedRateField(manifest) {
+  if (manifest.secondaryOutcome && manifest.secondaryOutcome.format === "percent") return "Secondary";
+  if (manifest.outcome.format === "percent") return "Outcome";
+  return null;
+}
+
+// A 5-digit county FIPS code from a CSV or boundary value. 3-digit county codes get the manifest's 2-digit state code
+// in front, so "181" and "37181" both join as "37181".
+function countyFips(value, manifest) {
+  const stateFips = String(manifest.stateFips || "").padStart(2, "0");
+  const code = String(value ?? "");
+  return code.length <= 3 ? stateFips + code.padStart(3, "0") : code.padStart(5, "0");
+}
+
+// A boundary feature's 5-digit county FIPS code, which joins it to its CSV row
+function featureFips(f, manifest) {
+  const stateFips = String(manifest.stateFips || "").padStart(2, "0");
+  const props = f.properties || {};
+  if (manifest.join.featureProperty) {
+    return countyFips(props[manifest.join.featureProperty], manifest);
+  }
+  if (props.GEOID) {
+    return String(props.GEOID).padStart(5, "0");
+  }
+  if (props.FIPS) {
+    return (stateFips + String(props.FIPS).padStart(3, "0"));
+  }
+  if (props.COUNTYFP) {
+    return (stateFips + String(props.COUNTYFP).padStart(3, "0"));
+  }
+  if (f.id != null) {
+    return String(f.id).padStart(5, "0");
+  }
+  return "";
+}
+
+// Check user-supplied CSV rows and boundaries against the manifest before anything is drawn.
+// Errors block loading (nothing could be drawn); warnings can be loaded anyway.
+function validateDataset(rows, geo, manifest) {
+  const errors = [];
+  const warnings = [];
+  const { outcome, secondaryOutcome, predictors } = manifest;
+
+  if (!geo || !Array.isArray(geo.features) || !geo.features.length) {
+    errors.push('The boundary file has no features. Expected a GeoJSON FeatureCollection or a TopoJSON topology.');
+  }
+  if (!rows.length) {
+    errors.push('The CSV has no data rows.');
+  }
+
+  // Every column the manifest names has to be in the CSV header
+  const required = [
+    manifest.nameColumn, manifest.join.column, manifest.populationColumn, manifest.adultPopulationColumn,
+    outcome.column, outcome.ciColumn,
+    ...(secondaryOutcome ? [secondaryOutcome.column, secondaryOutcome.ciColumn] : []),
+    ...predictors.map(p => p.column)
+  ].filter(Boolean);
+  const columns = new Set(rows.columns || Object.keys(rows[0] || {}));
+  const missing = required.filter(c => !columns.has(c));
+  if (missing.length) {
+    errors.push(`Missing required column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}.`);
+  }
+
+  // Values the unary + coercion would quietly turn into NaN. Blank cells count too, since + turns them into 0.
+  const numericColumns = [
+    manifest.populationColumn, manifest.adultPopulationColumn, outcome.column,
+    ...(secondaryOutcome ? [secondaryOutcome.column] : []),
+    ...predictors.map(p => p.column)
+  ].filter(c => c && columns.has(c));
+  numericColumns.forEach(c => {
+    const bad = rows.filter(d => d[c] == null || String(d[c]).trim() === '' || isNaN(+d[c]));
+    if (!bad.length) return;
+    const examples = bad.slice(0, 3).map(d => `${d[manifest.nameColumn] || 'row'}: "${d[c] ?? ''}"`).join(', ');
+    warnings.push(`${bad.length} non-numeric value${bad.length > 1 ? 's' : ''} in ${c} (${examples}${bad.length > 3 ? ', …' : ''}).`);
+  });
+
+  if (errors.length) return { errors, warnings };
+
+  // Duplicate FIPS codes: only the last row with a given code would reach the map
+  const fipsOf = d => countyFips(d[manifest.join.column], manifest);
+  const fipsCounts = d3.rollup(rows, v => v.length, fipsOf);
+  const duplicates = [...fipsCounts].filter(([, n]) => n > 1).map(([fips]) => fips);
+  if (duplicates.length) {
+    warnings.push(`Duplicate FIPS code${duplicates.length > 1 ? 's' : ''}: ${duplicates.slice(0, 10).join(', ')}${duplicates.length > 10 ? ', …' : ''}.`);
+  }
+
+  // Rows and features that don't join in either direction
+  const fipsOfFeature = f => featureFips(f, manifest);
+  const featureCodes = new Set(geo.features.map(fipsOfFeature));
+  const unmatchedRows = rows.filter(d => !featureCodes.has(fipsOf(d)));
+  const unmatchedFeatures = geo.features.filter(f => !fipsCounts.has(fipsOfFeature(f)));
+  const featureLabel = f => (f.properties && f.properties.NAME) || fipsOfFeature(f) || 'unnamed';
+  if (unmatchedRows.length === rows.length) {
+    errors.push(`None of the ${rows.length} CSV rows match a boundary feature by FIPS code. Check the ${manifest.join.column} column and the feature IDs.`);
+  } else {
+    if (unmatchedRows.length) {
+      warnings.push(`${unmatchedRows.length} CSV row${unmatchedRows.length > 1 ? 's have' : ' has'} no matching boundary (${unmatchedRows.slice(0, 5).map(d => d[manifest.nameColumn] || fipsOf(d)).join(', ')}${unmatchedRows.length > 5 ? ', …' : ''}).`);
+    }
+    if (unmatchedFeatures.length) {
+      warnings.push(`${unmatchedFeatures.length} boundary feature${unmatchedFeatures.length > 1 ? 's have' : ' has'} no matching CSV row (${unmatchedFeatures.slice(0, 5).map(featureLabel).join(', ')}${unmatchedFeatures.length > 5 ? ', …' : ''}) and will be drawn grey.`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+// Scale a Needs Index component across counties with the chosen normalization, flipped where higher means less need.
+// Min-max and percentile rank give 0-1; z-scores are unbounded. A component has a value(row) accessor and a direction.
+function normalizeNeedsComponent(rows, component, { normalization = 'minmax', winsorize = false } = {}) {
+  let values = rows.map(component.value);
+  const sorted = values.filter(v => !isNaN(v)).sort(d3.ascending);
+  // Winsorizing clamps values to the 5th-95th percentile, so one extreme county can't squash the rest together
+  if (winsorize && sorted.length) {
+    const lo = d3.quantileSorted(sorted, 0.05);
+    const hi = d3.quantileSorted(sorted, 0.95);
+    values = values.map(v => isNaN(v) ? v : Math.min(hi, Math.max(lo, v)));
+    sorted.forEach((v, i) => { sorted[i] = Math.min(hi, Math.max(lo, v)); });
+  }
+  const flip = component.direction === 'lower';
+
+  if (normalization === 'zscore') {
+    const mean = d3.mean(sorted);
+    const sd = d3.deviation(sorted);
+    return values.map(v => {
+      if (isNaN(v)) return NaN;
+      const z = sd ? (v - mean) / sd : 0;
+      return flip ? -z : z;
+    });
+  }
+  if (normalization === 'percentile') {
+    // Mid-rank percentile, so tied counties share a value
+    const n = sorted.length;
+    return values.map(v => {
+      if (isNaN(v)) return NaN;
+      const t = n > 1 ? (d3.bisectLeft(sorted, v) + d3.bisectRight(sorted, v) - 1) / 2 / (n - 1) : 0.5;
+      return flip ? 1 - t : t;
+    });
+  }
+  const min = d3.min(values);
+  const max = d3.max(values);
+  if (min === max) return values.map(v => isNaN(v) ? NaN : 0.5);
+  return values.map(v => {
+    const t = (v - min) / (max - min);
+    return flip ? 1 - t : t;
+  });
+}
+
+// Needs Index (0-10) for each row from a set of components and weights keyed by component key, without touching
+// the rows. Settings pick the normalization ('minmax', 'zscore' or 'percentile') and winsorizing.
+function needsIndexScores(rows, components, weights, { normalization = 'minmax', winsorize = false } = {}) {
+  // If variables were chosen, assigns weights
+  const vars = components.filter(c => weights[c.key] > 0);
+
+  // Creates arrays of each variable's normalized values from the CSV data
+  const normalized = vars.map(c => normalizeNeedsComponent(rows, c, { normalization, winsorize }));
+
+  // Creates a sum of normalized weights
+  let total = d3.sum(vars, c => weights[c.key]);
+  if (total === 0) total = 1; 
+
+  // Computes the final NeedsIndex score for each row (county)
+  const scores = rows.map((r, i) => d3.sum(vars, (c, j) => normalized[j][i] * weights[c.key] / total));
+  // d3.sum skips NaN, so a county missing any included component gets no score
+  rows.forEach((r, i) => { if (vars.some((c, j) => isNaN(normalized[j][i]))) scores[i] = NaN; });
+  // Weighted z-scores aren't bounded, so rescale them onto the same 0-10 range the other methods give
+  const [lo, hi] = normalization === 'zscore' ? d3.extent(scores) : [0, 1];
+  return scores.map(score => isNaN(score) ? NaN : +((hi > lo ? (score - lo) / (hi - lo) : 0.5) * 10).toFixed(2));
+}
+
+// Score the Needs Index onto each row's NeedsIndex field
+function computeNeedsIndex(rows, components, weights, settings) {
+  const scores = needsIndexScores(rows, components, weights, settings);
+  rows.forEach((r, i) => { r.NeedsIndex = scores[i]; });
+}
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = {
+    parseCI,
+    cleanRows,
+    affectedRateField,
+    countyFips,
+    featureFips,
+    validateDataset,
+    normalizeNeedsComponent,
+    needsIndexScores,
+    computeNeedsIndex
+  };
+}
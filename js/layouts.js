@@ -0,0 +1,113 @@
+// Alternative map layouts: a population cartogram and an equal-area hex grid. Each returns a stand-in for d3.geoPath
+// that draws a county's circle or hexagon instead of its outline, with centroid() and bounds() like geoPath has, so
+// the map, its labels, lasso and zoom work the same on any layout. Pure functions of their arguments, using only the
+// d3 global.
+//
+// The page loads this as a plain script. Node can require it too, once d3 is a global:
+//   globalThis.d3 = require('./js/vendor/d3.min.js');
+//   const { dorlingLayout, hexGridLayout } = require('./js/layouts.js');
+
+// A geoPath stand-in from a map of feature to { d, center, bounds }. Features without a shape draw nothing.
+function shapePath(shapes) {
+  const path = f => shapes.has(f) ? shapes.get(f).d : null;
+  path.centroid = f => shapes.has(f) ? shapes.get(f).center : [NaN, NaN];
+  path.bounds = f => shapes.has(f) ? shapes.get(f).bounds : [[NaN, NaN], [NaN, NaN]];
+  return path;
+}
+
+// Dorling cartogram: one circle per feature with its area proportional to valueOf(feature), pushed apart from its
+// geographic centroid until no circles overlap, then fitted to the width and height. The circles together cover
+// about half the area the features cover on the geographic map. Features with no value are left out.
+function dorlingLayout(features, valueOf, geoPath, [width, height], { padding = 1, margin = 10 } = {}) {
+  const nodes = features
+    .map(f => ({ feature: f, value: valueOf(f) }))
+    .filter(n => n.value > 0);
+  if (!nodes.length) return shapePath(new Map());
+  const totalArea = d3.sum(features, f => geoPath.area(f));
+  const k = Math.sqrt(0.5 * totalArea / (Math.PI * d3.sum(nodes, n => n.value)));
+  nodes.forEach(n => {
+    n.r = k * Math.sqrt(n.value);
+    [n.x, n.y] = geoPath.centroid(n.feature);
+    [n.homeX, n.homeY] = [n.x, n.y];
+  });
+
+  // The simulation's random source is seeded, so the layout is the same on every load
+  d3.forceSimulation(nodes)
+    .force("x", d3.forceX(n => n.homeX).strength(0.1))
+    .force("y", d3.forceY(n => n.homeY).strength(0.1))
+    .force("collide", d3.forceCollide(n => n.r + padding).iterations(3))
+    .stop()
+    .tick(300);
+
+  // Scale the result down, if it spread past the edges, and center it
+  const x0 = d3.min(nodes, n => n.x - n.r);
+  const x1 = d3.max(nodes, n => n.x + n.r);
+  const y0 = d3.min(nodes, n => n.y - n.r);
+  const y1 = d3.max(nodes, n => n.y + n.r);
+  const scale = Math.min(1, (width - 2 * margin) / (x1 - x0), (height - 2 * margin) / (y1 - y0));
+  const dx = (width - scale * (x0 + x1)) / 2;
+  const dy = (height - scale * (y0 + y1)) / 2;
+
+  return shapePath(new Map(nodes.map(n => {
+    const cx = dx + scale * n.x;
+    const cy = dy + scale * n.y;
+    const r = scale * n.r;
+    const d = `M${cx - r},${cy}a${r},${r} 0 1,0 ${2 * r},0a${r},${r} 0 1,0 ${-2 * r},0Z`;
+    return [n.feature, { d, center: [cx, cy], bounds: [[cx - r, cy - r], [cx + r, cy + r]] }];
+  })));
+}
+
+// Equal-area hex grid: one pointy-top hexagon per feature. The hexagons together cover the same area as the features
+// on the geographic map. Each feature takes the free cell of a hex lattice nearest its centroid, closest pairs first,
+// preferring cells that fall inside the features so the grid keeps the region's shape.
+function hexGridLayout(features, geoPath) {
+  if (!features.length) return shapePath(new Map());
+  const radius = Math.sqrt(d3.sum(features, f => geoPath.area(f)) / (features.length * 1.5 * Math.sqrt(3)));
+  const dx = Math.sqrt(3) * radius;
+  const dy = 1.5 * radius;
+  const [[x0, y0], [x1, y1]] = geoPath.bounds({ type: "FeatureCollection", features });
+
+  // Lattice points over the features' bounding box, with one ring of spare cells around it
+  const cells = [];
+  for (let row = -1; y0 + row * dy <= y1 + dy; row++) {
+    for (let col = -1; x0 + col * dx <= x1 + dx; col++) {
+      cells.push({ x: x0 + col * dx + (row % 2 ? dx / 2 : 0), y: y0 + row * dy });
+    }
+  }
+  const projection = geoPath.projection();
+  cells.forEach(c => {
+    const point = projection && projection.invert ? projection.invert([c.x, c.y]) : null;
+    c.inside = Boolean(point) && features.some(f => d3.geoContains(f, point));
+  });
+  const inside = cells.filter(c => c.inside);
+  const candidates = inside.length >= features.length ? inside : cells;
+
+  const centers = features.map(f => geoPath.centroid(f));
+  const pairs = [];
+  features.forEach((f, i) => {
+    candidates.forEach((c, j) => pairs.push([i, j, (centers[i][0] - c.x) ** 2 + (centers[i][1] - c.y) ** 2]));
+  });
+  pairs.sort((a, b) => a[2] - b[2]);
+  const cellOf = new Map();
+  const taken = new Set();
+  for (const [i, j] of pairs) {
+    if (cellOf.has(i) || taken.has(j)) continue;
+    cellOf.set(i, candidates[j]);
+    taken.add(j);
+    if (cellOf.size === features.length) break;
+  }
+
+  const corners = d3.range(6).map(i => {
+    const angle = Math.PI / 3 * i + Math.PI / 6;
+    return [radius * Math.cos(angle), radius * Math.sin(angle)];
+  });
+  return shapePath(new Map(features.map((f, i) => {
+    const { x, y } = cellOf.get(i);
+    const d = `M${corners.map(([cx, cy]) => `${x + cx},${y + cy}`).join("L")}Z`;
+    return [f, { d, center: [x, y], bounds: [[x - dx / 2, y - radius], [x + dx / 2, y + radius]] }];
+  })));
+}
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = { shapePath, dorlingLayout, hexGridLayout };
+}
@@ -0,0 +1,406 @@
+// Statistics for the dashboard: correlation, regression and p-values, population-weighted means, map class breaks,
+// spatial autocorrelation and nearest neighbors. Pure functions of their arguments, using only the d3 global.
+//
+// The page loads this as a plain script. Node can require it too, once d3 is a global:
+//   globalThis.d3 = require('./js/vendor/d3.min.js');
+//   const { pearson, moranAnalysis } = require('./js/stats.js');
+
+// A county's weight in population-weighted statistics. The rates are per adult, so this is the adult population where
+// the data has it, and the total population otherwise.
+function populationWeight(d) {
+  return d.TotalPop18plus > 0 ? d.TotalPop18plus : d.TotalPopulation;
+}
+
+// Population-weighted mean of a field
+function populationWeightedMean(rows, field) {
+  const valid = rows.filter(d => d[field] != null && !isNaN(d[field]) && populationWeight(d) > 0);
+  const total = d3.sum(valid, populationWeight);
+  return total ? d3.sum(valid, d => d[field] * populationWeight(d)) / total : NaN;
+}
+
+// Log of the gamma function (Lanczos approximation)
+function logGamma(x) {
+  const coefs = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  let ser = 1.000000000190015;
+  coefs.forEach(c => { y += 1; ser += c / y; });
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  return -tmp + Math.log(2.5066282746310005 * ser / x);
+}
+
+// Regularized incomplete beta function I_x(a, b), evaluated with Lentz's continued fraction
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  // The continued fraction only converges quickly below this point, so use the symmetry relation above it
+  if (x > (a + 1) / (a + b + 2)) return 1 - incompleteBeta(1 - x, b, a);
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)) / a;
+  let f = 1, c = 1, d = 0;
+  for (let i = 0; i <= 200; i++) {
+    const m = Math.floor(i / 2);
+    let numerator;
+    if (i === 0) numerator = 1;
+    else if (i % 2 === 0) numerator = (m * (b - m) * x) / ((a + 2 * m - 1) * (a + 2 * m));
+    else numerator = -((a + m) * (a + b + m) * x) / ((a + 2 * m) * (a + 2 * m + 1));
+    d = 1 + numerator * d;
+    if (Math.abs(d) < 1e-30) d = 1e-30;
+    d = 1 / d;
+    c = 1 + numerator / c;
+    if (Math.abs(c) < 1e-30) c = 1e-30;
+    f *= c * d;
+    if (Math.abs(1 - c * d) < 1e-10) break;
+  }
+  return front * (f - 1);
+}
+
+// Two-sided p-value for a Student t statistic
+function tTestPValue(t, df) {
+  if (!isFinite(t)) return 0;
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+// Two-sided critical t value for significance level alpha, found by bisection
+function tCritical(alpha, df) {
+  let lo = 0, hi = 1000;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (tTestPValue(mid, df) > alpha) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// Rank values from 1..n, giving tied values the average of their ranks
+function rankValues(values) {
+  const order = values.map((_, i) => i).sort((a, b) => values[a] - values[b]);
+  const ranks = new Array(values.length);
+  let i = 0;
+  while (i < order.length) {
+    let j = i;
+    while (j + 1 < order.length && values[order[j + 1]] === values[order[i]]) j++;
+    for (let k = i; k <= j; k++) ranks[order[k]] = (i + j) / 2 + 1;
+    i = j + 1;
+  }
+  return ranks;
+}
+
+// Pearson correlation coefficient
+function pearson(xs, ys) {
+  const mx = d3.mean(xs);
+  const my = d3.mean(ys);
+  let sxy = 0, sxx = 0, syy = 0;
+  xs.forEach((x, i) => {
+    sxy += (x - mx) * (ys[i] - my);
+    sxx += (x - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  });
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : NaN;
+}
+
+// Spearman rank correlation: Pearson on the ranks
+function spearman(xs, ys) {
+  return pearson(rankValues(xs), rankValues(ys));
+}
+
+// Least-squares line through (xs, ys), optionally weighted. Weights are rescaled to average 1 so the residual variance keeps n - 2 degrees of freedom.
+function linearFit(xs, ys, ws) {
+  const n = xs.length;
+  const meanW = ws ? d3.mean(ws) : 1;
+  const w = xs.map((_, i) => ws ? ws[i] / meanW : 1);
+  const sw = d3.sum(w);
+  const mx = d3.sum(xs, (x, i) => w[i] * x) / sw;
+  const my = d3.sum(ys, (y, i) => w[i] * y) / sw;
+  let sxx = 0, sxy = 0, syy = 0;
+  xs.forEach((x, i) => {
+    sxx += w[i] * (x - mx) ** 2;
+    sxy += w[i] * (x - mx) * (ys[i] - my);
+    syy += w[i] * (ys[i] - my) ** 2;
+  });
+  const slope = sxy / sxx;
+  const intercept = my - slope * mx;
+  const sse = d3.sum(xs, (x, i) => w[i] * (ys[i] - intercept - slope * x) ** 2);
+  const df = n - 2;
+  const s2 = sse / df;
+  const tCrit = tCritical(0.05, df);
+  return {
+    slope,
+    intercept,
+    n,
+    rSquared: syy ? 1 - sse / syy : NaN,
+    pValue: tTestPValue(Math.abs(slope / Math.sqrt(s2 / sxx)), df),
+    predict: x => intercept + slope * x,
+    // Half-width of the 95% confidence band around the fitted mean at x
+    bandHalfWidth: x => tCrit * Math.sqrt(s2 * (1 / sw + (x - mx) ** 2 / sxx))
+  };
+}
+
+// Invert a square matrix with Gauss-Jordan elimination and partial pivoting. Returns null if the matrix is singular.
+function invertMatrix(matrix) {
+  const n = matrix.length;
+  const a = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    const p = a[col][col];
+    for (let j = 0; j < 2 * n; j++) a[col][j] /= p;
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const factor = a[r][col];
+      if (factor === 0) continue;
+      for (let j = 0; j < 2 * n; j++) a[r][j] -= factor * a[col][j];
+    }
+  }
+  return a.map(row => row.slice(n));
+}
+
+// Ordinary least squares with an intercept. xRows holds one array of predictor values per observation.
+function multipleRegression(xRows, ys, names) {
+  const n = ys.length;
+  const X = xRows.map(r => [1, ...r]);
+  const k = X[0].length;
+  const xtx = d3.range(k).map(i => d3.range(k).map(j => d3.sum(X, r => r[i] * r[j])));
+  const xtxInv = invertMatrix(xtx);
+  if (!xtxInv || n <= k) return null;
+  const xty = d3.range(k).map(i => d3.sum(X, (r, idx) => r[i] * ys[idx]));
+  const beta = xtxInv.map(row => d3.sum(row, (v, j) => v * xty[j]));
+  const predict = xs => beta[0] + d3.sum(xs, (v, j) => v * beta[j + 1]);
+  const fitted = xRows.map(predict);
+  const sse = d3.sum(ys, (y, i) => (y - fitted[i]) ** 2);
+  const my = d3.mean(ys);
+  const sst = d3.sum(ys, y => (y - my) ** 2);
+  const df = n - k;
+  const s2 = sse / df;
+  return {
+    n,
+    df,
+    rSquared: 1 - sse / sst,
+    adjRSquared: 1 - (sse / df) / (sst / (n - 1)),
+    coefficients: beta.map((b, i) => {
+      const se = Math.sqrt(s2 * xtxInv[i][i]);
+      return { name: i === 0 ? "Intercept" : names[i - 1], estimate: b, se, t: b / se, pValue: tTestPValue(Math.abs(b / se), df) };
+    }),
+    fitted,
+    predict
+  };
+}
+
+// Format a p-value for display, e.g. "p = 0.026" or "p < 0.001"
+function formatPValue(p) {
+  if (isNaN(p)) return "p = N/A";
+  return p < 0.001 ? "p < 0.001" : `p = ${p.toFixed(3)}`;
+}
+
+// Queen contiguity: two features are neighbors when their boundaries share at least one vertex. Coordinates are
+// rounded to about a meter so boundaries digitized separately still meet. Returns a Map from each id to its neighbors.
+function queenNeighbors(features, idFor) {
+  const idsByVertex = new Map();
+  features.forEach(f => {
+    const geometry = f.geometry;
+    if (!geometry) return;
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+      : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+    polygons.flat(1).forEach(ring => ring.forEach(([x, y]) => {
+      const key = `${x.toFixed(5)},${y.toFixed(5)}`;
+      if (!idsByVertex.has(key)) idsByVertex.set(key, new Set());
+      idsByVertex.get(key).add(idFor(f));
+    }));
+  });
+  const neighbors = new Map(features.map(f => [idFor(f), new Set()]));
+  idsByVertex.forEach(ids => ids.forEach(a => ids.forEach(b => {
+    if (a !== b) neighbors.get(a).add(b);
+  })));
+  return new Map([...neighbors].map(([id, set]) => [id, [...set]]));
+}
+
+// Global Moran's I and local Moran's I (LISA) with row-standardized weights. neighbors[i] lists the indices next to
+// county i. Significance comes from permutation tests: values are shuffled across counties for the global statistic,
+// and for each local statistic the county keeps its value while its neighbors are drawn from the rest. Missing values
+// are left out. The sampler is seeded, so the same data always gives the same p-values.
+function moranAnalysis(values, neighbors, { permutations = 999, alpha = 0.05 } = {}) {
+  const used = d3.range(values.length).filter(i => !isNaN(values[i]));
+  const n = used.length;
+  if (n < 3) return null;
+  const position = new Map(used.map((i, k) => [i, k]));
+  const adjacent = used.map(i => neighbors[i].filter(j => position.has(j)).map(j => position.get(j)));
+  const mean = d3.mean(used, i => values[i]);
+  const z = used.map(i => values[i] - mean);
+  const sumSquares = d3.sum(z, v => v * v);
+  if (!sumSquares) return null;
+  const random = d3.randomLcg(0.5);
+  const lag = (k, zs) => adjacent[k].length ? d3.mean(adjacent[k], j => zs[j]) : 0;
+  // With row-standardized weights the weights sum to the number of counties that have neighbors
+  const weightSum = adjacent.filter(list => list.length).length;
+  const globalI = zs => n / weightSum * d3.sum(zs, (v, k) => v * lag(k, zs)) / sumSquares;
+  // One-sided pseudo p-value in the direction of the observed statistic
+  const pseudoP = (observed, sampled, expected) => {
+    const extreme = sampled.filter(v => observed >= expected ? v >= observed : v <= observed).length;
+    return (extreme + 1) / (sampled.length + 1);
+  };
+
+  const I = globalI(z);
+  const expected = -1 / (n - 1);
+  const shuffle = d3.shuffler(random);
+  const shuffled = z.slice();
+  const sampledI = d3.range(permutations).map(() => globalI(shuffle(shuffled)));
+
+  const m2 = sumSquares / n;
+  const pool = d3.range(n);
+  const local = new Array(values.length).fill(null);
+  adjacent.forEach((list, k) => {
+    const row = { z: z[k] / Math.sqrt(m2), lag: lag(k, z) / Math.sqrt(m2), neighbors: list.length };
+    if (!list.length) {
+      local[used[k]] = Object.assign(row, { I: NaN, pValue: NaN, cluster: null });
+      return;
+    }
+    const observed = z[k] / m2 * lag(k, z);
+    // Move this county to the end of the pool and draw its neighbors from the others with a partial shuffle
+    [pool[pool.indexOf(k)], pool[n - 1]] = [pool[n - 1], k];
+    const sampled = d3.range(permutations).map(() => {
+      let sum = 0;
+      for (let t = 0; t < list.length; t++) {
+        const r = t + Math.floor(random() * (n - 1 - t));
+        [pool[t], pool[r]] = [pool[r], pool[t]];
+        sum += z[pool[t]];
+      }
+      return z[k] / m2 * sum / list.length;
+    });
+    const pValue = pseudoP(observed, sampled, 0);
+    let cluster = 'ns';
+    if (pValue <= alpha) cluster = (z[k] > 0 ? 'H' : 'L') + (row.lag > 0 ? 'H' : 'L');
+    local[used[k]] = Object.assign(row, { I: observed, pValue, cluster });
+  });
+
+  return {
+    I,
+    expected,
+    zScore: (I - d3.mean(sampledI)) / d3.deviation(sampledI),
+    pValue: pseudoP(I, sampledI, expected),
+    n,
+    permutations,
+    alpha,
+    local
+  };
+}
+
+// Jenks natural breaks (Fisher's dynamic programming form). Returns the lower bound of classes 2..k, or of fewer
+// classes when the values have fewer than k distinct values.
+function jenksBreaks(values, k) {
+  const data = values.slice().sort(d3.ascending);
+  const n = data.length;
+  // Tied values can't be split, so there are at most as many classes as distinct values
+  const distinct = [...new Set(data)];
+  k = Math.min(k, distinct.length);
+  if (k < 2) return [];
+  if (k >= n) return distinct.slice(1);
+  const lower = d3.range(n + 1).map(() => new Array(k + 1).fill(0));
+  const variance = d3.range(n + 1).map(() => new Array(k + 1).fill(Infinity));
+  for (let j = 1; j <= k; j++) {
+    lower[1][j] = 1;
+    variance[1][j] = 0;
+  }
+  for (let l = 2; l <= n; l++) {
+    let sum = 0, sumSq = 0, v = 0;
+    for (let m = 1; m <= l; m++) {
+      const lowerIdx = l - m + 1;
+      const val = data[lowerIdx - 1];
+      sum += val;
+      sumSq += val * val;
+      v = sumSq - (sum * sum) / m;
+      if (lowerIdx === 1) continue;
+      for (let j = 2; j <= k; j++) {
+        if (variance[l][j] >= v + variance[lowerIdx - 1][j - 1]) {
+          lower[l][j] = lowerIdx;
+          variance[l][j] = v + variance[lowerIdx - 1][j - 1];
+        }
+      }
+    }
+    lower[l][1] = 1;
+    variance[l][1] = v;
+  }
+  const breaks = [];
+  let end = n;
+  for (let j = k; j >= 2 && end > 1; j--) {
+    const start = lower[end][j];
+    if (!(start > 1)) break;
+    breaks.unshift(data[start - 1]);
+    end = start - 1;
+  }
+  // A break inside a run of ties repeats a value, so keep each break once
+  return [...new Set(breaks)];
+}
+
+// Drop repeated breaks and breaks that would leave a class with no values, e.g. where ties pile up at one value
+function withoutEmptyClasses(values, breaks) {
+  const sorted = values.slice().sort(d3.ascending);
+  const kept = [];
+  [...new Set(breaks)].sort(d3.ascending).forEach(b => {
+    const from = kept.length ? kept[kept.length - 1] : -Infinity;
+    if (sorted.some(v => v >= from && v < b)) kept.push(b);
+  });
+  while (kept.length && !(sorted[sorted.length - 1] >= kept[kept.length - 1])) kept.pop();
+  return kept;
+}
+
+// Inner class breaks for a classing method, ascending and distinct. Standard deviation classes are one SD wide and
+// centered on the mean. The other methods give at most one class per distinct value and no empty classes, so tied
+// data gets fewer classes than asked for; callers should count the breaks they get back.
+function classBreaks(method, values, k) {
+  const [min, max] = d3.extent(values);
+  if (method === 'stddev') {
+    const mean = d3.mean(values);
+    const sd = d3.deviation(values) || 1;
+    return d3.range(k - 1).map(i => mean + (i - (k - 2) / 2) * sd);
+  }
+  if (k < 2) return [];
+  if (method === 'quantile') return withoutEmptyClasses(values, d3.scaleQuantile().domain(values).range(d3.range(k)).quantiles());
+  if (method === 'equal') return withoutEmptyClasses(values, d3.range(1, k).map(i => min + (i * (max - min)) / k));
+  if (method === 'jenks') return withoutEmptyClasses(values, jenksBreaks(values, k));
+  return [];
+}
+
+// The k rows nearest to target on the given features (functions of a row), by Euclidean distance between z-scores so
+// every feature counts the same whatever its units. Rows missing a feature are skipped. Returns [{ row, distance }],
+// nearest first, or an empty list when the target itself is missing a feature.
+function nearestRows(rows, target, features, k) {
+  const valid = rows.filter(d => features.every(f => isFinite(f(d))));
+  if (!valid.includes(target)) return [];
+  const scales = features.map(f => {
+    const mean = d3.mean(valid, f);
+    const sd = d3.deviation(valid, f) || 1;
+    return d => (f(d) - mean) / sd;
+  });
+  const zScores = d => scales.map(scale => scale(d));
+  const origin = zScores(target);
+  return valid
+    .filter(d => d !== target)
+    .map(d => ({ row: d, distance: Math.hypot(...zScores(d).map((z, i) => z - origin[i])) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, k);
+}
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = {
+    populationWeight,
+    populationWeightedMean,
+    logGamma,
+    incompleteBeta,
+    tTestPValue,
+    tCritical,
+    rankValues,
+    pearson,
+    spearman,
+    linearFit,
+    invertMatrix,
+    multipleRegression,
+    formatPValue,
+    queenNeighbors,
+    moranAnalysis,
+    jenksBreaks,
+    withoutEmptyClasses,
+    classBreaks,
+    nearestRows
+  };
+}
@@ -0,0 +1,43 @@
+// Shared state for the dashboard's views. Actions change state with set(); views subscribe to the keys they draw
+// from and are called after any set() that changes one of them, so they stay in sync without each action
+// redrawing them by hand.
+//
+// Values are compared by identity, so replace a Set or array rather than changing it in place.
+//
+// The page loads this as a plain script; Node can require it: const { createStore } = require('./js/store.js');
+
+function createStore(initialState) {
+  let state = { ...initialState };
+  const subscribers = [];
+
+  return {
+    // The whole state, or one key of it
+    get(key) {
+      return key === undefined ? state : state[key];
+    },
+
+    // Merge in changes and notify the subscribers whose keys changed, once each, in the order they subscribed
+    set(changes) {
+      const changed = Object.keys(changes).filter(key => !Object.is(state[key], changes[key]));
+      if (!changed.length) return;
+      state = { ...state, ...changes };
+      subscribers
+        .filter(s => s.keys.some(key => changed.includes(key)))
+        .forEach(s => s.listener(state, changed));
+    },
+
+    // Call listener(state, changedKeys) whenever one of keys changes. Returns a function that unsubscribes.
+    subscribe(keys, listener) {
+      const subscriber = { keys, listener };
+      subscribers.push(subscriber);
+      return () => {
+        const i = subscribers.indexOf(subscriber);
+        if (i >= 0) subscribers.splice(i, 1);
+      };
+    }
+  };
+}
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = { createStore };
+}
@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+globalThis.d3 = require('../js/vendor/d3.min.js');
+const {
+  parseCI, cleanRows, affectedRateField, countyFips, featureFips, validateDataset, normalizeNeedsComponent,
+  needsIndexScores
+} = require('../js/data.js');
+
+const manifest = {
+  stateFips: '37',
+  join: { column: 'CountyFIPS', featureProperty: null },
+  nameColumn: 'CountyName',
+  populationColumn: 'TotalPopulation',
+  adultPopulationColumn: 'TotalPop18plus',
+  outcome: { column: 'AdjPrev', ciColumn: 'Adj95CI', label: 'Depression (age-adjusted)', format: 'percent' },
+  secondaryOutcome: { column: 'CrudePrev', ciColumn: 'Crude95CI', label: 'Depression (crude)', format: 'percent' },
+  predictors: [{ key: 'income', column: 'MedianIncome', label: 'Median household income', format: 'dollars' }]
+};
+
+const csv = `CountyName,CountyFIPS,TotalPopulation,TotalPop18plus,CrudePrev,Crude95CI,AdjPrev,Adj95CI,MedianIncome
+Bertie,37015,17240,14342,19.9,"(16.7, 23.5)",21.1,"(17.8, 24.8)",41652
+Wake,37183,1175021,908531,20.3,"(17.7, 23.3)",20.4,"(17.7, 23.4)",96734
+Vance,181,42138,32110,21.7,"(18.4, 25.3)",22.7,"(19.2, 26.4)",48340`;
+
+const feature = (properties, id) => ({ type: 'Feature', id, properties, geometry: null });
+const boundaries = codes => ({ type: 'FeatureCollection', features: codes.map(code => feature({ GEOID: code })) });
+
+test('parseCI reads "(low, high)" strings', () => {
+  assert.deepEqual(parseCI('(16.7, 23.5)'), [16.7, 23.5]);
+  assert.ok(parseCI('').every(isNaN));
+  assert.ok(parseCI('n/a').every(isNaN));
+});
+
+test('cleanRows copies manifest columns onto the fixed fields', () => {
+  const rows = d3.csvParse(csv);
+  cleanRows(rows, manifest);
+  const [bertie, , vance] = rows;
+  assert.equal(bertie.CountyName, 'Bertie');
+  assert.equal(bertie.Outcome, 21.1);
+  assert.equal(bertie.Secondary, 19.9);
+  assert.deepEqual([bertie.OutcomeLow, bertie.OutcomeHigh], [17.8, 24.8]);
+  assert.equal(bertie.MedianIncome, 41652);
+  assert.equal(vance.CountyFIPS, '37181');
+});
+
+test('cleanRows can run twice on the same rows', () => {
+  const rows = d3.csvParse(csv);
+  cleanRows(rows, manifest);
+  const first = { ...rows[0] };
+  cleanRows(rows, manifest);
+  assert.deepEqual(rows[0], first);
+});
+
+test('affected adults come from the crude rate when the manifest has one', () => {
+  const rows = d3.csvParse(csv);
+  cleanRows(rows, manifest);
+  assert.equal(affectedRateField(manifest), 'Secondary');
+  assert.ok(Math.abs(rows[0].AffectedAdults - 0.199 * 14342) < 1e-6);
+  assert.ok(Math.abs(rows[0].AffectedLow - 0.167 * 14342) < 1e-6);
+});
+
+test('affected adults fall back to a percentage outcome, and need one or the other', () => {
+  const withoutCrude = { ...manifest, secondaryOutcome: undefined };
+  const rows = d3.csvParse(csv);
+  cleanRows(rows, withoutCrude);
+  assert.equal(affectedRateField(withoutCrude), 'Outcome');
+  assert.ok(Math.abs(rows[0].AffectedAdults - 0.211 * 14342) < 1e-6);
+  assert.equal(affectedRateField({ ...withoutCrude, outcome: { ...manifest.outcome, format: 'number' } }), null);
+});
+
+test('countyFips adds the state code to 3-digit codes and pads the rest to 5 digits', () => {
+  assert.equal(countyFips('181', manifest), '37181');
+  assert.equal(countyFips(3, manifest), '37003');
+  assert.equal(countyFips('1001', manifest), '01001');
+  assert.equal(countyFips('37181', manifest), '37181');
+});
+
+test('featureFips reads GEOID, FIPS, COUNTYFP or the feature id', () => {
+  assert.equal(featureFips(feature({ GEOID: '37183' }), manifest), '37183');
+  assert.equal(featureFips(feature({ FIPS: '183' }), manifest), '37183');
+  assert.equal(featureFips(feature({ COUNTYFP: '3' }), manifest), '37003');
+  assert.equal(featureFips(feature({}, 37183), manifest), '37183');
+  assert.equal(featureFips(feature({}), manifest), '');
+});
+
+test('featureFips uses the manifest property and adds the state code to 3-digit codes', () => {
+  const joined = { ...manifest, join: { ...manifest.join, featureProperty: 'CODE' } };
+  assert.equal(featureFips(feature({ CODE: '15' }), joined), '37015');
+  assert.equal(featureFips(feature({ CODE: '37015' }), joined), '37015');
+});
+
+test('validateDataset passes matching files', () => {
+  const rows = d3.csvParse(csv);
+  const report = validateDataset(rows, boundaries(['37015', '37183', '37181']), manifest);
+  assert.deepEqual(report, { errors: [], warnings: [] });
+});
+
+test('validateDataset blocks missing columns and empty files', () => {
+  const rows = d3.csvParse(csv.replace('MedianIncome', 'Income'));
+  assert.match(validateDataset(rows, boundaries(['37015']), manifest).errors.join(), /Missing required column: MedianIncome/);
+  const empty = validateDataset([], { type: 'FeatureCollection', features: [] }, manifest).errors.join('\n');
+  assert.match(empty, /The boundary file has no features/);
+  assert.match(empty, /The CSV has no data rows/);
+});
+
+test('validateDataset blocks files that share no FIPS codes', () => {
+  const report = validateDataset(d3.csvParse(csv), boundaries(['37001']), manifest);
+  assert.match(report.errors.join(), /None of the 3 CSV rows match/);
+});
+
+test('validateDataset warns about bad values, duplicates and unmatched rows and features', () => {
+  const rows = d3.csvParse(csv.replace('41652', '') + '\nWake again,37183,1,1,1,"(1, 2)",1,"(1, 2)",1');
+  const { errors, warnings } = validateDataset(rows, boundaries(['37015', '37183', '37001']), manifest);
+  assert.deepEqual(errors, []);
+  assert.match(warnings.join('\n'), /1 non-numeric value in MedianIncome \(Bertie: ""\)/);
+  assert.match(warnings.join('\n'), /Duplicate FIPS code: 37183/);
+  assert.match(warnings.join('\n'), /1 CSV row has no matching boundary \(Vance\)/);
+  assert.match(warnings.join('\n'), /1 boundary feature has no matching CSV row \(37001\)/);
+});
+
+const rows = [
+  { income: 30000, poverty: 20 },
+  { income: 50000, poverty: 10 },
+  { income: 70000, poverty: NaN },
+  { income: 90000, poverty: 15 }
+];
+const components = [
+  { key: 'income', value: d => d.income, direction: 'lower' },
+  { key: 'poverty', value: d => d.poverty, direction: 'higher' }
+];
+
+test('normalizeNeedsComponent scales 0-1 and flips components where lower means more need', () => {
+  const round = values => values.map(v => +v.toFixed(6));
+  assert.deepEqual(round(normalizeNeedsComponent(rows, components[0])), round([1, 2 / 3, 1 / 3, 0]));
+  assert.deepEqual(normalizeNeedsComponent(rows, components[1], { normalization: 'percentile' }), [1, 0, NaN, 0.5]);
+});
+
+test('normalizeNeedsComponent keeps missing values missing when every value is the same', () => {
+  const tied = [{ v: 4 }, { v: NaN }, { v: 4 }];
+  const component = { key: 'v', value: d => d.v };
+  ['minmax', 'zscore', 'percentile'].forEach(normalization => {
+    const values = normalizeNeedsComponent(tied, component, { normalization });
+    assert.ok(isNaN(values[1]), normalization);
+    assert.ok(!isNaN(values[0]) && values[0] === values[2], normalization);
+  });
+});
+
+test('needsIndexScores weights the components onto 0-10', () => {
+  assert.deepEqual(needsIndexScores(rows, components, { income: 1, poverty: 0 }), [10, 6.67, 3.33, 0]);
+  const scores = needsIndexScores(rows, components, { income: 1, poverty: 1 });
+  assert.deepEqual([scores[0], scores[1], scores[3]], [10, 3.33, 2.5]);
+});
+
+test('needsIndexScores leaves counties missing an included component unscored', () => {
+  ['minmax', 'zscore', 'percentile'].forEach(normalization => {
+    const scores = needsIndexScores(rows, components, { income: 1, poverty: 1 }, { normalization });
+    assert.ok(isNaN(scores[2]), normalization);
+    assert.ok(scores.filter(s => !isNaN(s)).every(s => s >= 0 && s <= 10), normalization);
+  });
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+globalThis.d3 = require('../js/vendor/d3.min.js');
+const { shapePath, dorlingLayout, hexGridLayout } = require('../js/layouts.js');
+
+// A 4x4 grid of small squares, ids 0-15 row by row, drawn with an identity projection
+const grid = d3.range(16).map(id => {
+  const x = id % 4, y = Math.floor(id / 4);
+  return {
+    type: 'Feature', id, properties: {},
+    geometry: { type: 'Polygon', coordinates: [[[x, y], [x, y + 1], [x + 1, y + 1], [x + 1, y], [x, y]]] }
+  };
+});
+const geoPath = d3.geoPath(d3.geoIdentity().scale(50));
+
+test('shapePath draws nothing for features it has no shape for', () => {
+  const path = shapePath(new Map());
+  assert.equal(path(grid[0]), null);
+  assert.ok(path.centroid(grid[0]).every(isNaN));
+});
+
+test('dorlingLayout sizes circles by value, keeps them apart and fits them in the box', () => {
+  const valueOf = f => f.id === 0 ? 0 : f.id;
+  const path = dorlingLayout(grid, valueOf, geoPath, [300, 300]);
+  assert.equal(path(grid[0]), null);
+  const circles = grid.slice(1).map(f => {
+    const [[x0], [x1]] = path.bounds(f);
+    return { id: f.id, r: (x1 - x0) / 2, center: path.centroid(f) };
+  });
+  circles.forEach(c => assert.ok(Math.abs(c.r ** 2 / c.id - circles[0].r ** 2 / circles[0].id) < 1e-6));
+  circles.forEach((a, i) => circles.slice(i + 1).forEach(b => {
+    const distance = Math.hypot(a.center[0] - b.center[0], a.center[1] - b.center[1]);
+    assert.ok(distance >= a.r + b.r - 1e-6, `${a.id} and ${b.id} overlap`);
+  }));
+  circles.forEach(c => c.center.forEach(v => assert.ok(v - c.r >= 0 && v + c.r <= 300)));
+  assert.equal(dorlingLayout(grid, valueOf, geoPath, [300, 300])(grid[5]), path(grid[5]));
+});
+
+test('hexGridLayout gives each feature its own cell', () => {
+  const path = hexGridLayout(grid, geoPath);
+  const centers = grid.map(f => path.centroid(f).map(v => v.toFixed(6)).join());
+  assert.equal(new Set(centers).size, grid.length);
+  grid.forEach(f => assert.match(path(f), /^M[^Z]*Z$/));
+  assert.equal(hexGridLayout([], geoPath)(grid[0]), null);
+});
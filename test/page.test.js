@@ -0,0 +1,125 @@
+// Loads index.html with its scripts and the bundled dataset in jsdom and checks that the map and scatterplots follow
+// the selection in the store, and that the year controls work on the two-year fixture in test/fixtures.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+
+const root = path.join(__dirname, '..');
+const origin = 'http://localhost/';
+const fileFor = url => path.join(root, decodeURIComponent(new URL(url, origin).pathname));
+
+// Serve the page's scripts and data files from the repo
+class RepoLoader extends ResourceLoader {
+  fetch(url) {
+    return Promise.resolve(fs.readFileSync(fileFor(url)));
+  }
+}
+
+async function loadPage(query = '') {
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('error', (...args) => errors.push(args.join(' ')));
+  virtualConsole.on('jsdomError', err => errors.push(err.message));
+  const dom = new JSDOM(fs.readFileSync(path.join(root, 'index.html'), 'utf8'), {
+    url: origin + query,
+    runScripts: 'dangerously',
+    resources: new RepoLoader(),
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse(window) {
+      // jsdom has no fetch or SVG layout, which d3.json and the labels need
+      window.fetch = async url => {
+        const file = fileFor(url);
+        return fs.existsSync(file) ? new Response(fs.readFileSync(file)) : new Response('', { status: 404 });
+      };
+      window.SVGElement.prototype.getBBox = () => ({ x: 0, y: 0, width: 10, height: 10 });
+      window.SVGElement.prototype.getComputedTextLength = () => 10;
+    }
+  });
+  const { document } = dom.window;
+  // Wait for the dataset to load and the views to draw
+  for (let waited = 0; !document.querySelector('#map path.county') || !document.querySelector('.scatter-point'); waited += 50) {
+    if (waited > 20000) throw new Error(`The page didn't draw: ${errors.join('; ')}`);
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return { window: dom.window, document, errors };
+}
+
+test('the map and scatterplots follow the selection in the store', async t => {
+  const { window, document, errors } = await loadPage();
+  t.after(() => window.close());
+
+  const counties = [...document.querySelectorAll('#map path.county')];
+  const scatters = [...document.querySelectorAll('.scatter-panel svg')];
+  assert.equal(counties.length, 100);
+  assert.equal(scatters.length, 3);
+  scatters.forEach(svg => assert.ok(svg.querySelectorAll('.scatter-point').length > 90));
+
+  const selectedCounties = () => counties
+    .filter(p => p.getAttribute('aria-pressed') === 'true')
+    .map(p => p.getAttribute('data-county-name'))
+    .sort();
+  const selectedPoints = svg => [...svg.querySelectorAll('.scatter-point')]
+    .filter(c => c.getAttribute('aria-pressed') === 'true')
+    .map(c => c.getAttribute('aria-label').split(' County')[0])
+    .sort();
+
+  window.eval("store.set({ brushedCountyNames: new Set(['Wake', 'Durham']) })");
+  assert.deepEqual(selectedCounties(), ['Durham', 'Wake']);
+  const wake = counties.find(p => p.getAttribute('data-county-name') === 'Wake');
+  assert.equal(wake.getAttribute('stroke'), '#000');
+  scatters.forEach(svg => assert.deepEqual(selectedPoints(svg), ['Durham', 'Wake']));
+
+  window.eval("store.set({ brushedCountyNames: new Set(), selectedCountyName: 'Bertie' })");
+  assert.deepEqual(selectedCounties(), ['Bertie']);
+  assert.equal(wake.getAttribute('stroke'), '#fff');
+  scatters.forEach(svg => assert.deepEqual(selectedPoints(svg), ['Bertie']));
+
+  window.eval("store.set({ selectedCountyName: null })");
+  assert.deepEqual(selectedCounties(), []);
+  scatters.forEach(svg => assert.deepEqual(selectedPoints(svg), []));
+  assert.deepEqual(errors, []);
+});
+
+test('clicking a scatterplot point selects the county everywhere', async t => {
+  const { window, document, errors } = await loadPage();
+  t.after(() => window.close());
+
+  const point = [...document.querySelectorAll('.scatter-point')]
+    .find(c => c.getAttribute('aria-label').startsWith('Wake County'));
+  point.dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+  assert.equal(window.eval("store.get('selectedCountyName')"), 'Wake');
+  const wake = document.querySelector('#map path.county[data-county-name="Wake"]');
+  assert.equal(wake.getAttribute('aria-pressed'), 'true');
+  assert.equal(document.getElementById('map-county-title').textContent, 'Wake County');
+  assert.deepEqual(errors, []);
+});
+
+test('the year slider and change map use the two-year fixture', async t => {
+  const { window, document, errors } = await loadPage('?dataset=test/fixtures/manifest-years.json');
+  t.after(() => window.close());
+  const slider = document.getElementById('year-slider');
+  const wake = () => document.querySelector('#map path.county[data-county-name="Wake"]');
+
+  assert.equal(document.getElementById('year-controls').style.display, 'flex');
+  assert.equal(slider.max, '1');
+  assert.equal(window.eval('currentYear'), '2023');
+  window.eval("store.set({ selectedCountyName: 'Wake' })");
+  const fill2023 = wake().getAttribute('fill');
+
+  slider.value = 0;
+  slider.dispatchEvent(new window.Event('input'));
+  assert.equal(window.eval('currentYear'), '2022');
+  assert.equal(window.eval("mapContext.rows.find(d => d.CountyName === 'Wake').Outcome"), 19.3);
+  assert.notEqual(wake().getAttribute('fill'), fill2023);
+  assert.equal(wake().getAttribute('aria-pressed'), 'true');
+
+  const toggle = document.getElementById('toggle-change');
+  toggle.checked = true;
+  toggle.dispatchEvent(new window.Event('change'));
+  assert.match(document.getElementById('change-summary').textContent, /^85 of 100 counties up/);
+  assert.match(wake().getAttribute('aria-label'), /2022: 19\.3% → 2023: 20\.4% \(\+1\.1 pts\)/);
+  assert.deepEqual(errors, []);
+});
@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+globalThis.d3 = require('../js/vendor/d3.min.js');
+const {
+  populationWeight, populationWeightedMean, tTestPValue, tCritical, rankValues, pearson, spearman, linearFit,
+  invertMatrix, multipleRegression, formatPValue, queenNeighbors, moranAnalysis, jenksBreaks, withoutEmptyClasses,
+  classBreaks, nearestRows
+} = require('../js/stats.js');
+
+const close = (actual, expected, tolerance = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+// Values in the classes the breaks split them into, e.g. [[1, 1], [5]]
+const classesOf = (values, breaks) => {
+  const classes = d3.range(breaks.length + 1).map(() => []);
+  values.forEach(v => classes[d3.bisectRight(breaks, v)].push(v));
+  return classes;
+};
+
+test('populationWeight and populationWeightedMean use adult population and skip missing values', () => {
+  const rows = [
+    { rate: 10, TotalPop18plus: 100, TotalPopulation: 150 },
+    { rate: 20, TotalPop18plus: 300, TotalPopulation: 400 },
+    { rate: NaN, TotalPop18plus: 1000, TotalPopulation: 1000 }
+  ];
+  assert.equal(populationWeightedMean(rows, 'rate'), 17.5);
+  assert.equal(populationWeightedMean([{ rate: 5, TotalPopulation: 10 }], 'rate'), 5);
+  assert.deepEqual(rows.map(populationWeight), [100, 300, 1000]);
+  assert.equal(populationWeight({ TotalPop18plus: NaN, TotalPopulation: 10 }), 10);
+  assert.ok(isNaN(populationWeightedMean([], 'rate')));
+});
+
+test('t-test p-values and critical values match the t tables', () => {
+  close(tTestPValue(2.228, 10), 0.05, 1e-4);
+  close(tCritical(0.05, 10), 2.228, 1e-3);
+  close(tCritical(0.05, 1000), 1.962, 1e-3);
+  assert.equal(tTestPValue(Infinity, 5), 0);
+});
+
+test('rankValues gives ties their average rank', () => {
+  assert.deepEqual(rankValues([30, 10, 20, 10]), [4, 1.5, 3, 1.5]);
+});
+
+test('pearson and spearman correlations', () => {
+  close(pearson([1, 2, 3, 4], [2, 4, 6, 8]), 1);
+  close(pearson([1, 2, 3, 4], [8, 6, 4, 2]), -1);
+  close(spearman([1, 2, 3, 4], [1, 4, 9, 100]), 1);
+});
+
+test('linearFit recovers a line and its p-value', () => {
+  const xs = [1, 2, 3, 4, 5, 6];
+  const ys = [3.1, 4.9, 7.2, 8.8, 11.1, 12.9];
+  const fit = linearFit(xs, ys);
+  close(fit.slope, 34.6 / 17.5);
+  close(fit.intercept, 8 - 3.5 * 34.6 / 17.5);
+  assert.ok(fit.rSquared > 0.99);
+  assert.ok(fit.pValue < 0.001);
+  close(fit.predict(10), fit.intercept + 10 * fit.slope);
+  assert.ok(fit.bandHalfWidth(10) > fit.bandHalfWidth(3.5));
+});
+
+test('invertMatrix inverts and reports singular matrices', () => {
+  const inverse = invertMatrix([[4, 7], [2, 6]]);
+  [[0.6, -0.7], [-0.2, 0.4]].forEach((row, i) => row.forEach((v, j) => close(inverse[i][j], v)));
+  assert.equal(invertMatrix([[1, 2], [2, 4]]), null);
+});
+
+test('multipleRegression recovers the coefficients of an exact fit', () => {
+  const xRows = [[1, 2], [2, 1], [3, 5], [4, 3], [5, 8], [6, 2]];
+  const ys = xRows.map(([a, b]) => 1 + 2 * a - 0.5 * b);
+  const model = multipleRegression(xRows, ys, ['a', 'b']);
+  assert.deepEqual(model.coefficients.map(c => c.name), ['Intercept', 'a', 'b']);
+  [1, 2, -0.5].forEach((v, i) => close(model.coefficients[i].estimate, v));
+  close(model.rSquared, 1);
+  assert.equal(multipleRegression([[1, 1], [2, 2], [3, 3], [4, 4]], [1, 2, 3, 4], ['a', 'b']), null);
+});
+
+test('formatPValue', () => {
+  assert.equal(formatPValue(0.0261), 'p = 0.026');
+  assert.equal(formatPValue(0.0002), 'p < 0.001');
+  assert.equal(formatPValue(NaN), 'p = N/A');
+});
+
+// A 3x3 grid of unit squares, ids 0-8 row by row
+const grid = d3.range(9).map(id => {
+  const x = id % 3, y = Math.floor(id / 3);
+  return { id, geometry: { type: 'Polygon', coordinates: [[[x, y], [x + 1, y], [x + 1, y + 1], [x, y + 1], [x, y]]] } };
+});
+
+test('queenNeighbors counts shared corners', () => {
+  const neighbors = queenNeighbors(grid, f => f.id);
+  assert.deepEqual(neighbors.get(4).sort(), [0, 1, 2, 3, 5, 6, 7, 8]);
+  assert.deepEqual(neighbors.get(0).sort(), [1, 3, 4]);
+});
+
+test('moranAnalysis finds clustering and is the same on every run', () => {
+  const neighborMap = queenNeighbors(grid, f => f.id);
+  const neighbors = grid.map(f => neighborMap.get(f.id));
+  // High values in the left column, low in the right
+  const values = grid.map(f => [10, 5, 0][f.id % 3] + f.id / 100);
+  const result = moranAnalysis(values, neighbors, { permutations: 199 });
+  assert.ok(result.I > result.expected);
+  assert.equal(result.n, 9);
+  assert.equal(result.local.length, 9);
+  assert.deepEqual(moranAnalysis(values, neighbors, { permutations: 199 }).pValue, result.pValue);
+  assert.equal(moranAnalysis([1, 2], [[1], [0]]), null);
+});
+
+test('jenksBreaks splits clear groups', () => {
+  assert.deepEqual(jenksBreaks([1, 2, 3, 10, 11, 12, 20, 21, 22], 3), [10, 20]);
+});
+
+test('jenksBreaks handles tied values', () => {
+  assert.deepEqual(jenksBreaks([5, 5, 5, 5], 3), []);
+  assert.deepEqual(jenksBreaks([1, 1, 1, 1, 9, 9], 4), [9]);
+  assert.deepEqual(jenksBreaks([1, 2], 5), [2]);
+});
+
+test('withoutEmptyClasses drops repeated breaks and breaks that leave a class empty', () => {
+  assert.deepEqual(withoutEmptyClasses([1, 1, 1, 2, 3], [1, 1, 2.5]), [2.5]);
+  assert.deepEqual(withoutEmptyClasses([1, 2, 3], [2, 2, 5]), [2]);
+});
+
+test('classBreaks never leaves a class empty, even with tied values', () => {
+  const datasets = [
+    [1, 1, 1, 1, 1, 2, 3],
+    [0, 0, 0, 0, 0, 0, 7],
+    [4, 4, 4],
+    d3.range(50).map(i => Math.round(Math.sin(i) * 3)),
+    d3.range(100).map(i => i * i)
+  ];
+  datasets.forEach(values => ['quantile', 'equal', 'jenks'].forEach(method => [2, 3, 5, 9].forEach(k => {
+    const breaks = classBreaks(method, values, k);
+    const label = `${method} k=${k} ${values.slice(0, 8)}`;
+    assert.ok(breaks.length <= k - 1, label);
+    assert.deepEqual(breaks, [...new Set(breaks)].sort(d3.ascending), label);
+    assert.ok(classesOf(values, breaks).every(c => c.length), label);
+  })));
+});
+
+test('classBreaks gives the asked-for classes on spread-out data', () => {
+  const values = d3.range(1, 101);
+  assert.equal(classBreaks('quantile', values, 5).length, 4);
+  assert.deepEqual(classBreaks('equal', d3.range(11), 5), [2, 4, 6, 8]);
+  const spread = [2, 4, 4, 4, 5, 5, 7, 9];
+  const sd = d3.deviation(spread);
+  assert.deepEqual(classBreaks('stddev', spread, 3), [5 - sd / 2, 5 + sd / 2]);
+  assert.deepEqual(classBreaks('quantile', values, 1), []);
+});
+
+test('nearestRows matches on z-scores and skips rows missing a feature', () => {
+  const rows = [
+    { name: 'a', x: 1, y: 100 },
+    { name: 'b', x: 2, y: 300 },
+    { name: 'c', x: 9, y: 110 },
+    { name: 'd', x: NaN, y: 100 }
+  ];
+  const features = [d => d.x, d => d.y];
+  assert.deepEqual(nearestRows(rows, rows[0], features, 2).map(p => p.row.name), ['b', 'c']);
+  assert.deepEqual(nearestRows(rows, rows[3], features, 2), []);
+});
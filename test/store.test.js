@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../js/store.js');
+
+test('get returns one key or the whole state', () => {
+  const store = createStore({ mode: 'select', names: [] });
+  assert.equal(store.get('mode'), 'select');
+  assert.deepEqual(store.get(), { mode: 'select', names: [] });
+});
+
+test('set notifies only the subscribers whose keys changed', () => {
+  const store = createStore({ a: 1, b: 2 });
+  const calls = [];
+  store.subscribe(['a'], (state, changed) => calls.push(['a', state.a, changed]));
+  store.subscribe(['b'], (state, changed) => calls.push(['b', state.b, changed]));
+  store.set({ a: 3 });
+  assert.deepEqual(calls, [['a', 3, ['a']]]);
+});
+
+test('a subscriber on several changed keys is called once', () => {
+  const store = createStore({ a: 1, b: 2 });
+  let calls = 0;
+  store.subscribe(['a', 'b'], () => calls++);
+  store.set({ a: 3, b: 4 });
+  assert.equal(calls, 1);
+});
+
+test('values are compared by identity', () => {
+  const names = new Set(['Wake']);
+  const store = createStore({ names });
+  let calls = 0;
+  store.subscribe(['names'], () => calls++);
+  store.set({ names });
+  assert.equal(calls, 0);
+  store.set({ names: new Set(['Wake']) });
+  assert.equal(calls, 1);
+});
+
+test('unsubscribing stops the notifications', () => {
+  const store = createStore({ a: 1 });
+  let calls = 0;
+  const unsubscribe = store.subscribe(['a'], () => calls++);
+  store.set({ a: 2 });
+  unsubscribe();
+  store.set({ a: 3 });
+  assert.equal(calls, 1);
+  assert.equal(store.get('a'), 3);
+});